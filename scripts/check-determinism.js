@@ -0,0 +1,161 @@
+/**
+ * Determinism check: runs a fixed set of seeded scenarios through the
+ * engine and compares a hash of each run's metrics, delay causes, events
+ * and final snapshot with the hash recorded below.
+ *
+ * Engine changes that are only meant to make it faster must leave every
+ * hash as it is. Each scenario also runs a second time, and once more
+ * from a checkpoint taken half-way, both of which must give the same hash.
+ *
+ *   npm run check:determinism            # Compare with the recorded hashes
+ *   npm run check:determinism -- --print # Print the hashes (after an intended change)
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { RandomGenerator } from '../src/engine/RandomGenerator.js';
+import { Aircraft, CABIN_LAYOUTS } from '../src/engine/Aircraft.js';
+import { generatePassengers } from '../src/engine/Passenger.js';
+import { Simulation, ArrivalProcess, GateBagPolicy } from '../src/engine/Simulation.js';
+import { DeplaningSimulation } from '../src/engine/DeplaningSimulation.js';
+import { EvacuationSimulation } from '../src/engine/EvacuationSimulation.js';
+import { TurnaroundSimulation } from '../src/engine/TurnaroundSimulation.js';
+import { algorithms } from '../src/algorithms/presets/index.js';
+import { createAlgorithmContext, runAlgorithm } from '../src/algorithms/AlgorithmRunner.js';
+import { calculateMetrics } from '../src/metrics/MetricsCalculator.js';
+import { analyzeDelayCauses } from '../src/metrics/ExplanationEngine.js';
+
+const a321neo = JSON.parse(readFileSync(new URL('../src/engine/seatmaps/a321neo.json', import.meta.url)));
+const widebody = { ...CABIN_LAYOUTS['3-4-3'], rows: 40, boardingDoor: ['front', 'rear'] };
+
+/**
+ * Scenarios: simulation class, aircraft config, options, boarding preset
+ * (deplaning runs leave by row, rear rows first)
+ */
+const SCENARIOS = {
+    'narrow-back-to-front': [Simulation, {}, {}, 'backToFront'],
+    'narrow-random-deviation': [Simulation, {}, { queueDeviation: true, binFillSlowdown: 0.5 }, 'random'],
+    'widebody-two-doors': [Simulation, widebody, { keepGroupsTogether: true, queueDeviation: true }, 'steffen'],
+    'gate-zones-late-arrivals': [Simulation, {}, {
+        gateModel: true, zoneCalls: 4, gateAgents: 2,
+        arrivalProcess: ArrivalProcess.POISSON, stragglerRate: 0.1, noShowRate: 0.03,
+        gateBagPolicy: GateBagPolicy.LARGE_AFTER, gateBagLimit: 30,
+    }, 'zoneBased'],
+    'open-seating-a321neo': [Simulation, { seatMap: a321neo, boardingDoor: ['front', 'mid'] }, {
+        openSeating: true, aisleHeadway: 1, bagFootprint: 1.5,
+    }, 'random'],
+    'remote-stand': [Simulation, {}, { remoteStand: true, busCapacity: 40, stragglerRate: 0.05 }, 'windowMiddleAisle'],
+    'obstacles': [Simulation, {}, {
+        obstacles: [{ type: 'cart', rows: [5, 7], start: 10, end: 80 }, { type: 'crew', from: 0, to: 15, start: 40, hold: 30 }],
+    }, 'weightedHeuristic'],
+    'deplaning': [DeplaningSimulation, {}, {}, null],
+    'deplaning-widebody-waves': [DeplaningSimulation, widebody, {}, null],
+    'evacuation-a321neo': [EvacuationSimulation, { seatMap: a321neo }, { blockedExits: ['front'] }, null],
+    'turnaround': [TurnaroundSimulation, { boardingDoor: ['front', 'rear'] }, { cleaningTime: 40, gateModel: true, zoneCalls: 3 }, 'backToFront'],
+};
+
+/**
+ * Hashes recorded for each scenario (the engine as it was before its
+ * state was indexed, which must not change the outcome; re-recorded once
+ * the playback events went in, which add events and reorder the snapshot's
+ * fields but leave the run as it was)
+ */
+const EXPECTED = {
+    'narrow-back-to-front': '6844d06ea47c56967728ab76ac81b24b4ab33c82',
+    'narrow-random-deviation': '694d831ec9656a5c7f53ca954b1488dc92714c38',
+    'widebody-two-doors': 'a3af02e6ecb7eef1123b4c08e4c4d0d7918850f5',
+    'gate-zones-late-arrivals': '7310548fe95d7f9a5e18f348f5b30624fbdcd30f',
+    'open-seating-a321neo': '0d38ea14c83b47e1b7855549c2fad86ee1897abf',
+    'remote-stand': '2559a14b5b75b5d99881111c1c0cc2e16c25478d',
+    'obstacles': 'ea96b5cbb3145caf4d7bfb5ce4ddeb92f5a9b270',
+    'deplaning': '34c3d2f21687cdf1a77781a17fcf70025bf57953',
+    'deplaning-widebody-waves': 'a8b25d450fbd3ff0246ca626b802a89b3d00c1e5',
+    'evacuation-a321neo': 'ee36f91d9a71f59d83ca13eb1f6cf2100f8a5cfe',
+    'turnaround': '5566c2f9a6a8506e5b6ee1396d197cce15e59413',
+};
+
+/**
+ * Set up a scenario's simulation, ready to step
+ */
+function setUp(name) {
+    const [SimulationClass, config, options, preset] = SCENARIOS[name];
+    const rng = new RandomGenerator(2024);
+    const aircraft = new Aircraft(config);
+    const generate = () => generatePassengers({
+        count: Math.round(aircraft.totalSeats * 0.9),
+        rows: aircraft.rows,
+        columns: aircraft.columns,
+        aislePositions: aircraft.aislePositions,
+        rng,
+        doors: aircraft.doors,
+        seats: aircraft.getSeatList(),
+    });
+
+    const passengers = generate();
+    const simulation = SimulationClass === TurnaroundSimulation
+        ? new TurnaroundSimulation({ arrivingPassengers: generate(), passengers, aircraft, options, rng })
+        : new SimulationClass({ passengers, aircraft, options, rng });
+
+    if (preset) {
+        const context = createAlgorithmContext({
+            totalRows: aircraft.rows,
+            totalPassengers: passengers.length,
+            columns: aircraft.columns,
+            doors: aircraft.doors.map(door => door.id),
+            doorRows: Object.fromEntries(aircraft.doors.map(door => [door.id, door.aisleRow])),
+        });
+        simulation.setBoardingOrder(runAlgorithm(algorithms[preset].createPriorityFn({}, rng), passengers, context));
+    } else if (SimulationClass === DeplaningSimulation) {
+        const waves = [];
+        for (const passenger of passengers) {
+            (waves[aircraft.rows - passenger.row] ??= []).push(passenger.id);
+        }
+        simulation.setDeplaningOrder(waves.filter(Boolean));
+    }
+    return simulation;
+}
+
+/**
+ * Run a simulation to the end and hash what it produced
+ */
+function finish(simulation) {
+    simulation.runToCompletion(20000);
+    const metrics = calculateMetrics(simulation);
+    const events = simulation.getEvents();
+    return createHash('sha1')
+        .update(JSON.stringify(simulation.getMetrics()))
+        .update(JSON.stringify(analyzeDelayCauses(events, metrics)))
+        .update(JSON.stringify(events))
+        .update(JSON.stringify(simulation.getSnapshot()))
+        .digest('hex');
+}
+
+const print = process.argv.includes('--print');
+let failures = 0;
+
+for (const name of Object.keys(SCENARIOS)) {
+    const first = setUp(name);
+    const hash = finish(first);
+    const again = finish(setUp(name));
+
+    const halfWay = setUp(name);
+    while (halfWay.currentStep < Math.floor(first.currentStep / 2)) halfWay.step();
+    const resumed = finish(halfWay.constructor.deserialize(halfWay.serialize()));
+
+    const problems = [];
+    if (!print && hash !== EXPECTED[name]) problems.push(`hash ${hash}, expected ${EXPECTED[name]}`);
+    if (again !== hash) problems.push('second run differs');
+    if (resumed !== hash) problems.push('run resumed from a checkpoint differs');
+
+    if (print) {
+        console.log(`    '${name}': '${hash}',`);
+    } else {
+        console.log(`${problems.length === 0 ? 'ok  ' : 'FAIL'} ${name}${problems.length > 0 ? `: ${problems.join('; ')}` : ''}`);
+    }
+    if (problems.length > 0) failures++;
+}
+
+if (failures > 0) {
+    console.error(`${failures} of ${Object.keys(SCENARIOS).length} scenarios not deterministic`);
+    process.exit(1);
+}
@@ -24,12 +24,15 @@ export class ValidationResult {
 
 /**
  * Algorithm context passed to priority functions
+ * (doors by id; doorRows gives each door's aisle row, to measure from `passenger.door`)
  */
 export function createAlgorithmContext(config) {
     return Object.freeze({
         totalRows: config.totalRows,
         totalPassengers: config.totalPassengers,
         columns: Object.freeze([...config.columns]),
+        doors: Object.freeze([...(config.doors ?? ['front'])]),
+        doorRows: Object.freeze({ ...(config.doorRows ?? { front: 0 }) }),
     });
 }
 
@@ -127,6 +130,35 @@ export function runAlgorithm(priorityFn, passengers, context) {
     return withPriority.map(p => p.id);
 }
 
+/**
+ * Run a deplaning algorithm to get release waves
+ * Passengers with equal priority are released together.
+ * @param {Function} priorityFn - Priority function
+ * @param {import('../engine/Passenger').Passenger[]} passengers - Passengers to group
+ * @param {Object} context - Algorithm context
+ * @returns {number[][]} Passenger IDs grouped by wave (highest priority first)
+ */
+export function runDeplaningAlgorithm(priorityFn, passengers, context) {
+    const withPriority = passengers.map(passenger => ({
+        id: passenger.id,
+        priority: priorityFn(passenger.toContext(), context),
+    }));
+
+    withPriority.sort((a, b) => b.priority - a.priority);
+
+    const waves = [];
+    let lastPriority = null;
+    for (const { id, priority } of withPriority) {
+        if (waves.length === 0 || priority !== lastPriority) {
+            waves.push([]);
+            lastPriority = priority;
+        }
+        waves[waves.length - 1].push(id);
+    }
+
+    return waves;
+}
+
 /**
  * Create a sandboxed execute from code string
  * @param {string} code - Code string defining a priority function
@@ -1,6 +1,7 @@
 import { Simulation } from '../engine/Simulation.js';
-import { generatePassengers } from '../engine/Passenger.js';
+import { generatePassengers, DEFAULT_POPULATION, SeatAssignment } from '../engine/Passenger.js';
 import { RandomGenerator } from '../engine/RandomGenerator.js';
+import { createAlgorithmContext, runAlgorithm } from './AlgorithmRunner.js';
 
 /**
  * Genetic Algorithm to optimize ANY algorithm's numeric parameters
@@ -9,10 +10,27 @@ export class GeneticOptimizer {
     /**
      * @param {import('../engine/Aircraft').Aircraft} aircraft
      * @param {Object} algorithm - The algorithm definition object
+     * @param {Object} [scenario] - Passengers to optimize for
+     * @param {Object} [scenario.population] - Population profile (see Population.js)
+     * @param {number} [scenario.passengerCount] - Passengers per test scenario
+     * @param {string} [scenario.seatAssignment] - From SeatAssignment enum
+     * @param {Object} [scenario.groupMix] - Share of passengers per GroupType; overrides the population's
+     * @param {Object} [scenario.options] - Simulation options to board with (see Simulation's DEFAULT_OPTIONS)
      */
-    constructor(aircraft, algorithm) {
+    constructor(aircraft, algorithm, {
+        population = DEFAULT_POPULATION,
+        passengerCount = 114,
+        seatAssignment = SeatAssignment.RANDOM,
+        groupMix,
+        options = {},
+    } = {}) {
         this.aircraft = aircraft;
         this.algorithm = algorithm;
+        this.population = population;
+        this.passengerCount = passengerCount;
+        this.seatAssignment = seatAssignment;
+        this.groupMix = groupMix;
+        this.options = options;
         this.populationSize = 50;
         this.generations = 20;
         this.mutationRate = 0.1;
@@ -47,16 +65,24 @@ export class GeneticOptimizer {
         let population = this._initializePopulation();
         let bestSolution = null;
 
-        // Pre-generate passengers
+        // Pre-generate passengers (each scenario's seed also drives its runs)
         const testScenarios = [];
         for (let i = 0; i < 3; i++) {
-            const rng = new RandomGenerator(12345 + i);
-            testScenarios.push(generatePassengers({
-                count: 114,
+            const seed = 12345 + i;
+            const rng = new RandomGenerator(seed);
+            const passengers = generatePassengers({
+                count: this.passengerCount,
                 rows: this.aircraft.rows,
                 columns: this.aircraft.columns,
-                rng: rng
-            }));
+                aislePositions: this.aircraft.aislePositions,
+                rng: rng,
+                doors: this.aircraft.doors,
+                seats: this.aircraft.getSeatList(),
+                population: this.population,
+                groupMix: this.groupMix,
+                seatAssignment: this.seatAssignment,
+            });
+            testScenarios.push({ passengers, seed });
         }
 
         // 2. Evolution Loop
@@ -111,27 +137,30 @@ export class GeneticOptimizer {
     _evaluateFitness(weights, testScenarios) {
         let totalTime = 0;
 
-        // Create priority function with dynamic weights
-        const priorityFn = this.algorithm.createPriorityFn(weights);
-
-        for (const passengers of testScenarios) {
-            // Calculate priorities
-            const info = passengers.map(p => ({
-                id: p.id,
-                priority: priorityFn(p, {})
-            }));
-
-            // Sort
-            info.sort((a, b) => b.priority - a.priority);
-            const orderedIds = info.map(x => x.id);
+        for (const { passengers, seed } of testScenarios) {
+            const rng = new RandomGenerator(seed);
+            const context = createAlgorithmContext({
+                totalRows: this.aircraft.rows,
+                totalPassengers: passengers.length,
+                columns: this.aircraft.columns,
+                doors: this.aircraft.doors.map(d => d.id),
+                doorRows: Object.fromEntries(this.aircraft.doors.map(d => [d.id, d.aisleRow])),
+            });
 
             // Run Simulation
             const sim = new Simulation({
                 passengers: passengers,
-                aircraft: this.aircraft
+                aircraft: this.aircraft,
+                options: this.options,
+                rng,
             });
 
-            sim.setBoardingOrder(orderedIds);
+            // Create priority function with dynamic weights; pre-boarders are called first whatever it says
+            const priorityFn = this.algorithm.createPriorityFn(weights, rng);
+            const preBoarders = new Set(sim.getPreBoardingOrder());
+            const general = passengers.filter(passenger => !preBoarders.has(passenger.id));
+            sim.setBoardingOrder(runAlgorithm(priorityFn, general, context));
+
             const steps = sim.runToCompletion(5000);
             totalTime += steps;
         }
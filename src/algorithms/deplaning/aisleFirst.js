@@ -0,0 +1,32 @@
+/**
+ * Aisle-First Deplaning
+ * Aisle seats across the cabin leave first, then middle, then window.
+ * Each wave spans the whole cabin, so distance to the door plays no part
+ * in the order; each passenger still heads for their own door.
+ */
+
+export const aisleFirstAlgorithm = {
+    name: 'Aisle-First',
+    description: 'All aisle seats leave first, then middle seats, then window seats',
+    code: `// Seat class priority: aisle=3, middle=2, window=1
+const seatPriority = {
+  'aisle': 3,
+  'middle': 2,
+  'window': 1
+};
+
+return seatPriority[passenger.seatClass];`,
+
+    createPriorityFn: (params, rng) => {
+        return (passenger, context) => {
+            const seatPriority = {
+                'aisle': 3,
+                'middle': 2,
+                'window': 1
+            };
+            return seatPriority[passenger.seatClass];
+        };
+    }
+};
+
+export default aisleFirstAlgorithm;
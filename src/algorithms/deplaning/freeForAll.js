@@ -0,0 +1,21 @@
+/**
+ * Free-for-All Deplaning
+ * Everyone stands up as soon as they can - the everyday reality.
+ * One wave for the whole cabin, so distance to the door plays no part in
+ * the order; each passenger still heads for their own door.
+ */
+
+export const freeForAllAlgorithm = {
+    name: 'Free-for-All',
+    description: 'Everyone stands up at once and pushes into the aisle whenever there is a gap',
+    code: `// Same priority for everyone - a single release wave
+return 0;`,
+
+    createPriorityFn: (params, rng) => {
+        return (passenger, context) => {
+            return 0;
+        };
+    }
+};
+
+export default freeForAllAlgorithm;
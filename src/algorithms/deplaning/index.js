@@ -0,0 +1,21 @@
+/**
+ * Deplaning algorithm presets index
+ */
+
+import freeForAllAlgorithm from './freeForAll.js';
+import rowByRowAlgorithm from './rowByRow.js';
+import aisleFirstAlgorithm from './aisleFirst.js';
+
+export const deplaningAlgorithms = {
+    freeForAll: freeForAllAlgorithm,
+    rowByRow: rowByRowAlgorithm,
+    aisleFirst: aisleFirstAlgorithm,
+};
+
+export const deplaningAlgorithmList = [
+    { id: 'freeForAll', ...freeForAllAlgorithm },
+    { id: 'rowByRow', ...rowByRowAlgorithm },
+    { id: 'aisleFirst', ...aisleFirstAlgorithm },
+];
+
+export default deplaningAlgorithms;
@@ -0,0 +1,19 @@
+/**
+ * Row-by-Row Courtesy Deplaning
+ * Each row waits until the rows between it and its door have left their seats
+ */
+
+export const rowByRowAlgorithm = {
+    name: 'Row-by-Row Courtesy',
+    description: 'Rows nearest their door leave first; each row waits for the rows ahead of it to clear their seats',
+    code: `// Closer to the passenger's door = higher priority (nearest rows leave first)
+return -Math.abs(passenger.row - context.doorRows[passenger.door]);`,
+
+    createPriorityFn: (params, rng) => {
+        return (passenger, context) => {
+            return -Math.abs(passenger.row - context.doorRows[passenger.door]);
+        };
+    }
+};
+
+export default rowByRowAlgorithm;
@@ -1,8 +1,20 @@
 /**
- * Aircraft model for single-aisle narrow-body configuration.
- * Represents the physical layout including seats, aisle, and overhead bins.
+ * Aircraft model for narrow-body and twin-aisle cabin configurations.
+ * Represents the physical layout including seats, aisles, and overhead bins.
  */
 
+import { parseSeatMap } from './SeatMap.js';
+import { parseExits, defaultExits } from './Exits.js';
+
+/**
+ * Boarding doors
+ */
+export const BoardingDoor = {
+    FRONT: 'front',  // L1, ahead of row 1
+    MID: 'mid',      // Mid-cabin door (e.g. A321 door 2)
+    REAR: 'rear',    // Aft door, behind the last row
+};
+
 /**
  * Default aircraft configuration (similar to Boeing 737 / Airbus A320)
  */
@@ -10,10 +22,92 @@ export const DEFAULT_CONFIG = {
     rows: 30,
     columns: ['A', 'B', 'C', 'D', 'E', 'F'],  // 3-3 configuration
     aislePosition: 3,  // Aisle is between columns C and D (index 3)
+    aislePositions: null,  // Column indices each aisle sits before; defaults to [aislePosition]
     binCapacityPerRow: 6,  // Overhead bin capacity per row (bags)
-    boardingDoor: 'front',  // Front door boarding
+    boardingDoor: BoardingDoor.FRONT,  // Door id, or array of ids for multi-door boarding
+    midDoorRow: 11,  // Aisle row of the mid-cabin door
+    seatMap: null,  // Seat map spec (see SeatMap.js); overrides rows, columns and aisles
+    exits: null,  // Emergency exits (see Exits.js); defaults to the seat map's, else front, overwing and rear
+};
+
+/**
+ * Cabin cross-sections (columns left to right, aisle positions)
+ */
+export const CABIN_LAYOUTS = {
+    '3-3': {
+        columns: ['A', 'B', 'C', 'D', 'E', 'F'],
+        aislePositions: [3],
+        binCapacityPerRow: 6,
+    },
+    '2-4-2': {
+        columns: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'],
+        aislePositions: [2, 6],
+        binCapacityPerRow: 8,
+    },
+    '3-3-3': {
+        columns: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J'],
+        aislePositions: [3, 6],
+        binCapacityPerRow: 9,
+    },
+    '3-4-3': {
+        columns: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K'],
+        aislePositions: [3, 7],
+        binCapacityPerRow: 10,
+    },
 };
 
+/**
+ * Describe a seat's position relative to the aisles.
+ * The seat is reached from the aisle with the fewest seats in between
+ * (leftmost aisle wins ties).
+ * @param {string} column
+ * @param {string[]} columns - Column labels, left to right
+ * @param {number[]} aislePositions - Column index each aisle sits before
+ * @param {string[]} [rowColumns] - Columns that have a seat in this row (defaults to all)
+ * @returns {{columnIndex: number, aisle: number, side: string, seatsToPass: number, seatClass: string}}
+ */
+export function describeSeat(column, columns, aislePositions, rowColumns = columns) {
+    const columnIndex = columns.indexOf(column);
+    const rowIndices = rowColumns.map(c => columns.indexOf(c));
+
+    let access = null;
+    aislePositions.forEach((position, aisle) => {
+        const side = columnIndex < position ? 'left' : 'right';
+        const seatsToPass = side === 'left'
+            ? rowIndices.filter(i => i > columnIndex && i < position).length
+            : rowIndices.filter(i => i >= position && i < columnIndex).length;
+        if (!access || seatsToPass < access.seatsToPass) {
+            access = { aisle, side, seatsToPass };
+        }
+    });
+
+    // Window seats: outermost seat of the row on either side of the cabin
+    const isLeftWindow = columnIndex === Math.min(...rowIndices) && columnIndex < aislePositions[0];
+    const isRightWindow = columnIndex === Math.max(...rowIndices) && columnIndex >= aislePositions[aislePositions.length - 1];
+
+    let seatClass = 'middle';
+    if (isLeftWindow || isRightWindow) seatClass = 'window';
+    else if (access.seatsToPass === 0) seatClass = 'aisle';
+
+    return { columnIndex, ...access, seatClass };
+}
+
+/**
+ * Find the door closest to a row (first listed door wins ties)
+ * @param {Array<{id: string, aisleRow: number}>} doors
+ * @param {number} row
+ * @returns {{id: string, aisleRow: number}}
+ */
+export function nearestDoor(doors, row) {
+    let best = doors[0];
+    for (const door of doors) {
+        if (Math.abs(door.aisleRow - row) < Math.abs(best.aisleRow - row)) {
+            best = door;
+        }
+    }
+    return best;
+}
+
 /**
  * Aircraft class representing the physical aircraft layout
  */
@@ -23,29 +117,57 @@ export class Aircraft {
      */
     constructor(config = {}) {
         this.config = { ...DEFAULT_CONFIG, ...config };
-        this.rows = this.config.rows;
-        this.columns = this.config.columns;
-        this.aislePosition = this.config.aislePosition;
+        this.seatMap = this.config.seatMap ? parseSeatMap(this.config.seatMap) : null;
+
+        const layout = this.seatMap ?? {
+            rows: this.config.rows,
+            columns: this.config.columns,
+            aislePositions: this.config.aislePositions ?? [this.config.aislePosition],
+        };
+        this.rows = layout.rows;
+        this.columns = layout.columns;
+        this.aislePositions = layout.aislePositions;
+        this.aislePosition = this.aislePositions[0];
+        this.midDoorRow = this.seatMap?.midDoorRow ?? this.config.midDoorRow;
+        this.rowLayouts = this._createRowLayouts();
+        this.doors = this._createDoors();
+        this.exits = parseExits(this.config.exits ?? this.seatMap?.exits ??
+            defaultExits(this.rows, this.seatMap?.exitRows ?? []), { rows: this.rows });
+
+        // Seat descriptions by "row-column", worked out on first use (the layout never changes)
+        this.seatInfo = new Map();
 
         // Initialize overhead bins (tracks remaining capacity per row)
         this.binCapacity = new Map();
-        for (let row = 1; row <= this.rows; row++) {
-            this.binCapacity.set(row, this.config.binCapacityPerRow);
+        for (const { row, binCapacity } of this.rowLayouts) {
+            this.binCapacity.set(row, binCapacity);
         }
 
-        // Seat occupancy map: "row-column" -> passenger or null
+        // Seat occupancy map: "row-column" -> passenger or null (only seats that exist)
         this.seats = new Map();
-        for (let row = 1; row <= this.rows; row++) {
-            for (const column of this.columns) {
+        for (const { row, seats } of this.rowLayouts) {
+            for (const column of seats) {
                 this.seats.set(`${row}-${column}`, null);
             }
         }
 
-        // Aisle state: row -> passenger in aisle at that row, or null
-        this.aisle = new Map();
-        for (let row = 0; row <= this.rows; row++) {
-            this.aisle.set(row, null);  // Row 0 is entry point
-        }
+        // Aisle state per aisle: row -> passenger in aisle at that row, or null
+        // Row 0 is the front entry point, row rows+1 the rear one
+        this.aisles = this.aislePositions.map(() => {
+            const aisle = new Map();
+            for (let row = 0; row <= this.rows + 1; row++) {
+                aisle.set(row, null);
+            }
+            return aisle;
+        });
+        this.aisle = this.aisles[0];
+
+        // Rows of aisle each passenger in it takes up, personal space included
+        this.aisleFootprints = this.aislePositions.map(() => new Map());
+        this.maxAisleFootprint = 1;
+
+        // Crew and carts in the aisle: row -> obstacle id
+        this.aisleObstacles = this.aislePositions.map(() => new Map());
 
         Object.freeze(this.config);
     }
@@ -54,32 +176,215 @@ export class Aircraft {
      * Reset aircraft state to empty
      */
     reset() {
-        for (let row = 1; row <= this.rows; row++) {
-            this.binCapacity.set(row, this.config.binCapacityPerRow);
-            for (const column of this.columns) {
+        for (const { row, seats, binCapacity } of this.rowLayouts) {
+            this.binCapacity.set(row, binCapacity);
+            for (const column of seats) {
                 this.seats.set(`${row}-${column}`, null);
             }
         }
-        for (let row = 0; row <= this.rows; row++) {
-            this.aisle.set(row, null);
+        for (const aisle of this.aisles) {
+            for (let row = 0; row <= this.rows + 1; row++) {
+                aisle.set(row, null);
+            }
+        }
+        for (const footprints of this.aisleFootprints) {
+            footprints.clear();
+        }
+        this.maxAisleFootprint = 1;
+        this.clearObstacles();
+    }
+
+    /**
+     * Layout and current state (seats, aisles, bins, obstacles) as plain JSON
+     * @param {import('./Checkpoint').CheckpointWriter} writer
+     * @returns {Object}
+     */
+    serialize(writer) {
+        const passengers = (cells) => [...cells].map(([key, passenger]) => [key, writer.passenger(passenger)]);
+        return {
+            config: this.config,
+            binCapacity: [...this.binCapacity],
+            seats: passengers(this.seats),
+            aisles: this.aisles.map(passengers),
+            aisleFootprints: this.aisleFootprints.map(footprints => [...footprints]),
+            maxAisleFootprint: this.maxAisleFootprint,
+            aisleObstacles: this.aisleObstacles.map(obstacles => [...obstacles]),
+        };
+    }
+
+    /**
+     * Put the state from serialize() back (on an aircraft built from its config)
+     * @param {Object} data
+     * @param {import('./Checkpoint').CheckpointReader} reader
+     */
+    restore(data, reader) {
+        const passengers = (entries) => new Map(entries.map(([key, index]) => [key, reader.passenger(index)]));
+        this.binCapacity = new Map(data.binCapacity);
+        this.seats = passengers(data.seats);
+        this.aisles = data.aisles.map(passengers);
+        this.aisle = this.aisles[0];
+        this.aisleFootprints = data.aisleFootprints.map(entries => new Map(entries));
+        this.maxAisleFootprint = data.maxAisleFootprint;
+        this.aisleObstacles = data.aisleObstacles.map(entries => new Map(entries));
+    }
+
+    /**
+     * Per-row layout: from the seat map, or uniform rows of the configured columns
+     * @returns {Array<{row: number, section: string|null, seats: string[], pitch: number, binCapacity: number, exit: boolean}>}
+     */
+    _createRowLayouts() {
+        if (this.seatMap) return this.seatMap.rowLayouts;
+
+        const layouts = [];
+        for (let row = 1; row <= this.rows; row++) {
+            layouts.push({
+                row,
+                section: null,
+                seats: this.columns,
+                pitch: 1,
+                binCapacity: this.config.binCapacityPerRow,
+                exit: false,
+            });
         }
+        return layouts;
+    }
+
+    /**
+     * Build door definitions from the boardingDoor config
+     * @returns {Array<{id: string, aisleRow: number}>}
+     */
+    _createDoors() {
+        const ids = [].concat(this.config.boardingDoor);
+        return ids.map(id => {
+            switch (id) {
+                case BoardingDoor.FRONT:
+                    return { id, aisleRow: 0 };
+                case BoardingDoor.MID:
+                    return { id, aisleRow: this.midDoorRow };
+                case BoardingDoor.REAR:
+                    return { id, aisleRow: this.rows + 1 };
+                default:
+                    throw new Error(`Unknown boarding door: ${id}`);
+            }
+        });
+    }
+
+    /**
+     * Get door definition by id
+     * @param {string} id
+     * @returns {{id: string, aisleRow: number}|undefined}
+     */
+    getDoor(id) {
+        return this.doors.find(door => door.id === id);
+    }
+
+    /**
+     * Get emergency exit definition by id
+     * @param {string} id
+     * @returns {{id: string, aisleRow: number, flowRate: number}|undefined}
+     */
+    getExit(id) {
+        return this.exits.find(exit => exit.id === id);
+    }
+
+    /**
+     * Get the door closest to a row
+     * @param {number} row
+     * @returns {{id: string, aisleRow: number}}
+     */
+    getNearestDoor(row) {
+        return nearestDoor(this.doors, row);
+    }
+
+    /**
+     * Number of aisles
+     */
+    get aisleCount() {
+        return this.aisles.length;
+    }
+
+    /**
+     * Describe a seat column relative to this cabin's aisles
+     * @param {string} column
+     * @param {number|null} [row] - Row, to account for seats missing from it
+     * @returns {{columnIndex: number, aisle: number, side: string, seatsToPass: number, seatClass: string}}
+     */
+    getSeatInfo(column, row = null) {
+        const key = `${row}-${column}`;
+        let info = this.seatInfo.get(key);
+        if (!info) {
+            const rowColumns = row === null ? this.columns : this.getRowLayout(row).seats;
+            info = Object.freeze(describeSeat(column, this.columns, this.aislePositions, rowColumns));
+            this.seatInfo.set(key, info);
+        }
+        return info;
+    }
+
+    /**
+     * Get the layout of a seat row
+     * @param {number} row
+     * @returns {{row: number, section: string|null, seats: string[], pitch: number, binCapacity: number, exit: boolean}}
+     */
+    getRowLayout(row) {
+        return this.rowLayouts[row - 1];
+    }
+
+    /**
+     * Length of an aisle cell in rows of standard pitch (door cells are 1)
+     * @param {number} row
+     * @returns {number}
+     */
+    getRowPitch(row) {
+        return this.rowLayouts[row - 1]?.pitch ?? 1;
+    }
+
+    /**
+     * Rows that galleys sit behind (0 = ahead of row 1)
+     * @returns {number[]}
+     */
+    get galleys() {
+        return this.seatMap?.galleys ?? [];
+    }
+
+    /**
+     * Check whether a seat exists in this cabin
+     * @param {number} row
+     * @param {string} column
+     * @returns {boolean}
+     */
+    hasSeat(row, column) {
+        return this.seats.has(`${row}-${column}`);
+    }
+
+    /**
+     * List every seat, front to back and left to right
+     * @returns {Array<{row: number, column: string}>}
+     */
+    getSeatList() {
+        const seats = [];
+        for (const layout of this.rowLayouts) {
+            for (const column of layout.seats) {
+                seats.push({ row: layout.row, column });
+            }
+        }
+        return seats;
     }
 
     /**
      * Get total number of seats
      */
     get totalSeats() {
-        return this.rows * this.columns.length;
+        return this.seats.size;
     }
 
     /**
-     * Check if a seat is occupied
+     * Check if a seat is occupied (missing seats never are)
      * @param {number} row 
      * @param {string} column 
      * @returns {boolean}
      */
     isSeatOccupied(row, column) {
-        return this.seats.get(`${row}-${column}`) !== null;
+        return (this.seats.get(`${row}-${column}`) ?? null) !== null;
     }
 
     /**
@@ -101,38 +406,116 @@ export class Aircraft {
     }
 
     /**
-     * Check if aisle position is occupied
+     * Vacate a seat (passenger stands up)
      * @param {number} row 
+     * @param {string} column 
+     */
+    vacateSeat(row, column) {
+        this.seats.set(`${row}-${column}`, null);
+    }
+
+    /**
+     * Check if aisle position is occupied: taken, blocked by crew or a cart,
+     * or too close to someone for a passenger of the given footprint to stand there
+     * @param {number} row 
+     * @param {number} [aisle=0] - Aisle index
+     * @param {number} [footprint=1] - Rows of aisle the passenger would take up
+     * @param {Array<import('./Passenger').Passenger>} [ignore=[]] - Passengers whose space may overlap
      * @returns {boolean}
      */
-    isAisleOccupied(row) {
-        return this.aisle.get(row) !== null;
+    isAisleOccupied(row, aisle = 0, footprint = 1, ignore = []) {
+        return this.getObstacleAt(row, aisle) !== null || this.getAisleBlocker(row, aisle, footprint, ignore) !== null;
+    }
+
+    /**
+     * Obstacle (crew or cart) blocking an aisle row
+     * @param {number} row
+     * @param {number} [aisle=0] - Aisle index
+     * @returns {string|null} Obstacle id
+     */
+    getObstacleAt(row, aisle = 0) {
+        return this.aisleObstacles[aisle].get(row) ?? null;
+    }
+
+    /**
+     * Block an aisle row with an obstacle
+     * @param {string} id - Obstacle id
+     * @param {number} row
+     * @param {number} [aisle=0] - Aisle index
+     */
+    placeObstacle(id, row, aisle = 0) {
+        this.aisleObstacles[aisle].set(row, id);
+    }
+
+    /**
+     * Take every obstacle out of the aisles
+     */
+    clearObstacles() {
+        for (const obstacles of this.aisleObstacles) {
+            obstacles.clear();
+        }
+    }
+
+    /**
+     * Nearest passenger in the way of standing at an aisle row. Two passengers
+     * clash when they are fewer rows apart than half their footprints added up.
+     * @param {number} row
+     * @param {number} [aisle=0] - Aisle index
+     * @param {number} [footprint=1] - Rows of aisle the passenger would take up
+     * @param {Array<import('./Passenger').Passenger>} [ignore=[]] - Passengers whose space may overlap (they still block the row itself)
+     * @param {number} [direction=0] - Only look this way along the aisle (+1 rear, -1 front, 0 both)
+     * @returns {import('./Passenger').Passenger|null}
+     */
+    getAisleBlocker(row, aisle = 0, footprint = 1, ignore = [], direction = 0) {
+        const cells = this.aisles[aisle];
+        const footprints = this.aisleFootprints[aisle];
+        const reach = Math.ceil((footprint + this.maxAisleFootprint) / 2) - 1;
+
+        for (let distance = 0; distance <= reach; distance++) {
+            const rows = distance === 0 ? [row]
+                : direction === 0 ? [row + distance, row - distance]
+                    : [row + distance * direction];
+
+            for (const other of rows) {
+                const passenger = cells.get(other);
+                if (!passenger || (distance > 0 && ignore.includes(passenger))) continue;
+                if (distance < (footprint + footprints.get(other)) / 2) return passenger;
+            }
+        }
+        return null;
     }
 
     /**
      * Get passenger in aisle at row
      * @param {number} row 
+     * @param {number} [aisle=0] - Aisle index
      * @returns {import('./Passenger').Passenger|null}
      */
-    getPassengerInAisle(row) {
-        return this.aisle.get(row);
+    getPassengerInAisle(row, aisle = 0) {
+        return this.aisles[aisle].get(row);
     }
 
     /**
      * Place passenger in aisle
      * @param {import('./Passenger').Passenger} passenger 
      * @param {number} row 
+     * @param {number} [aisle=0] - Aisle index
+     * @param {number} [footprint=1] - Rows of aisle the passenger takes up
      */
-    placeInAisle(passenger, row) {
-        this.aisle.set(row, passenger);
+    placeInAisle(passenger, row, aisle = 0, footprint = 1) {
+        this.aisles[aisle].set(row, passenger);
+        this.aisleFootprints[aisle].set(row, footprint);
+        this.maxAisleFootprint = Math.max(this.maxAisleFootprint, footprint);
     }
 
     /**
      * Remove passenger from aisle
      * @param {number} row 
+     * @param {number} [aisle=0] - Aisle index
      */
-    removeFromAisle(row) {
-        this.aisle.set(row, null);
+    removeFromAisle(row, aisle = 0) {
+        this.aisles[aisle].set(row, null);
+        this.aisleFootprints[aisle].delete(row);
     }
 
     /**
@@ -164,6 +547,28 @@ export class Aircraft {
         return false;
     }
 
+    /**
+     * Share of a row's bin space already in use
+     * @param {number} row
+     * @returns {number} 0 (empty) to 1 (full)
+     */
+    getBinFill(row) {
+        const capacity = this.getRowLayout(row).binCapacity;
+        return capacity > 0 ? 1 - this.binCapacity.get(row) / capacity : 1;
+    }
+
+    /**
+     * Release bin capacity at row (luggage taken out)
+     * @param {number} row 
+     * @param {string} carryOnSize 
+     */
+    releaseBinCapacity(row, carryOnSize) {
+        if (carryOnSize === 'none') return;
+        const required = carryOnSize === 'small' ? 1 : 2;
+        const current = this.binCapacity.get(row);
+        this.binCapacity.set(row, Math.min(this.getRowLayout(row).binCapacity, current + required));
+    }
+
     /**
      * Find nearest row with bin capacity
      * @param {number} startRow 
@@ -192,20 +597,21 @@ export class Aircraft {
      */
     getBlockingSeats(row, targetColumn) {
         const blocking = [];
-        const targetIndex = targetColumn.charCodeAt(0) - 'A'.charCodeAt(0);
+        const { columnIndex: targetIndex, aisle, side } = this.getSeatInfo(targetColumn, row);
+        const aislePosition = this.aislePositions[aisle];
 
-        if (targetIndex < this.aislePosition) {
-            // Left side: check seats between aisle and target
-            for (let i = this.aislePosition - 1; i > targetIndex; i--) {
-                const col = String.fromCharCode('A'.charCodeAt(0) + i);
+        if (side === 'left') {
+            // Left of the access aisle: check seats between aisle and target
+            for (let i = aislePosition - 1; i > targetIndex; i--) {
+                const col = this.columns[i];
                 if (this.isSeatOccupied(row, col)) {
                     blocking.push(col);
                 }
             }
         } else {
-            // Right side: check seats between aisle and target
-            for (let i = this.aislePosition; i < targetIndex; i++) {
-                const col = String.fromCharCode('A'.charCodeAt(0) + i);
+            // Right of the access aisle: check seats between aisle and target
+            for (let i = aislePosition; i < targetIndex; i++) {
+                const col = this.columns[i];
                 if (this.isSeatOccupied(row, col)) {
                     blocking.push(col);
                 }
@@ -228,16 +634,18 @@ export class Aircraft {
     }
 
     /**
-     * Get all passengers currently in aisle
-     * @returns {Array<{row: number, passenger: import('./Passenger').Passenger}>}
+     * Get all passengers currently in the aisles
+     * @returns {Array<{row: number, aisle: number, passenger: import('./Passenger').Passenger}>}
      */
     getAislePassengers() {
         const passengers = [];
-        for (const [row, passenger] of this.aisle.entries()) {
-            if (passenger !== null) {
-                passengers.push({ row, passenger });
+        this.aisles.forEach((cells, aisle) => {
+            for (const [row, passenger] of cells.entries()) {
+                if (passenger !== null) {
+                    passengers.push({ row, aisle, passenger });
+                }
             }
-        }
+        });
         return passengers;
     }
 }
@@ -0,0 +1,110 @@
+/**
+ * Checkpoints: a simulation part-way through its run, as plain JSON, to save
+ * to disk and resume later or to branch what-if experiments from.
+ *
+ * A checkpoint is
+ *
+ *   {
+ *     "version": 1,
+ *     "aircraft": { "config": {...}, "seats": [["12-C", 4], ...], ... },  // Layout plus seats, aisles and bins
+ *     "rng": { "seed": 913, "initialSeed": 42 },
+ *     "passengers": [{ "id": 0, "row": 12, ... }, ...],  // Every passenger object in play, once
+ *     "simulation": { "currentStep": 120, ... }          // The simulation's own state
+ *   }
+ *
+ * Inside "aircraft" and "simulation", passengers are their index in
+ * "passengers" (a passenger copied with a new seat or a smaller bag is a
+ * separate entry) and passenger states are their passenger's id.
+ */
+
+import { Passenger } from './Passenger.js';
+
+/**
+ * Checkpoint format version written, and the only one read
+ */
+export const CHECKPOINT_VERSION = 1;
+
+/**
+ * Collects the passengers a checkpoint refers to while it is written
+ */
+export class CheckpointWriter {
+    constructor() {
+        this.passengers = [];
+        this.indices = new Map();  // Passenger -> index in passengers
+    }
+
+    /**
+     * Refer to a passenger
+     * @param {Passenger|null} passenger
+     * @returns {number|null} Index in the checkpoint's passengers
+     */
+    passenger(passenger) {
+        if (passenger === null) return null;
+        if (!this.indices.has(passenger)) {
+            this.indices.set(passenger, this.passengers.length);
+            this.passengers.push(passenger.serialize());
+        }
+        return this.indices.get(passenger);
+    }
+
+    /**
+     * Refer to a passenger state
+     * @param {Object|null} ps
+     * @returns {number|null} Passenger id
+     */
+    state(ps) {
+        return ps === null ? null : ps.passenger.id;
+    }
+
+    /**
+     * Put a checkpoint together, detached from the live simulation
+     * @param {{aircraft: Object, rng: Object, simulation: Object}} parts
+     * @returns {Object} Checkpoint in the JSON format above
+     */
+    finish({ aircraft, rng, simulation }) {
+        return JSON.parse(JSON.stringify({
+            version: CHECKPOINT_VERSION,
+            aircraft,
+            rng,
+            passengers: this.passengers,
+            simulation,
+        }));
+    }
+}
+
+/**
+ * Resolves the passengers a checkpoint refers to while it is read
+ */
+export class CheckpointReader {
+    /**
+     * @param {Object} checkpoint - In the JSON format above
+     * @throws {Error} If the checkpoint is malformed
+     */
+    constructor(checkpoint) {
+        const fail = (message) => {
+            throw new Error(`Invalid checkpoint: ${message}`);
+        };
+
+        if (!checkpoint || typeof checkpoint !== 'object') fail('not an object');
+        if (checkpoint.version !== CHECKPOINT_VERSION) fail(`version ${checkpoint.version} is not supported`);
+        for (const key of ['aircraft', 'rng', 'passengers', 'simulation']) {
+            if (!checkpoint[key]) fail(`${key} is missing`);
+        }
+
+        // A copy, so simulations rebuilt from one checkpoint share no state
+        this.checkpoint = JSON.parse(JSON.stringify(checkpoint));
+        this.passengers = this.checkpoint.passengers.map(fields => Passenger.deserialize(fields));
+    }
+
+    /**
+     * Resolve a passenger reference
+     * @param {number|null} index
+     * @returns {Passenger|null}
+     */
+    passenger(index) {
+        if (index === null) return null;
+        const passenger = this.passengers[index];
+        if (!passenger) throw new Error(`Invalid checkpoint: no passenger ${index}`);
+        return passenger;
+    }
+}
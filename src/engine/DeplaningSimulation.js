@@ -0,0 +1,297 @@
+/**
+ * Deplaning (unboarding) simulation.
+ * Starts from a fully seated aircraft: passengers stand up, retrieve their
+ * luggage from the overhead bins and walk to their nearest door.
+ */
+
+import { Simulation, PassengerState, EventType } from './Simulation.js';
+import { CarryOnSize } from './Passenger.js';
+
+/**
+ * Simulation class that manages the deplaning process.
+ * Produces the same event stream and snapshot shape as the boarding
+ * simulation, so timeline, renderer and metrics work unchanged.
+ */
+export class DeplaningSimulation extends Simulation {
+    /**
+     * Reset simulation to a fully seated cabin with stowed luggage
+     */
+    reset() {
+        super.reset();
+
+        for (const ps of this.passengerStates.values()) {
+            const { passenger } = ps;
+            this.aircraft.seatPassenger(passenger);
+            ps.state = PassengerState.SEATED;
+            ps.direction = -ps.direction;  // Walk from the seat towards the door
+            ps.binRow = this._stowInitialBag(passenger);
+            ps.exitedAt = -1;  // Step when left the aircraft
+        }
+        this.exitedCount = 0;
+
+        // Without an explicit order, everyone may stand up at once
+        this.waves = [[...this.passengerStates.values()]];
+        this.currentWave = 0;
+        this.released = new Set(this.waves[0]);  // Released passengers still in their seats, in wave order
+    }
+
+    /**
+     * Place a passenger's bag in the nearest bin with space
+     * @returns {number|null} Row of the bin holding the bag
+     */
+    _stowInitialBag(passenger) {
+        if (passenger.carryOnSize === CarryOnSize.NONE) return null;
+
+        const binRow = this.aircraft.findNearestBinCapacity(passenger.row, passenger.carryOnSize);
+        if (binRow === null) return null;
+
+        this.aircraft.useBinCapacity(binRow, passenger.carryOnSize);
+        return binRow;
+    }
+
+    /**
+     * Set deplaning order as release waves.
+     * A wave may leave their seats once every passenger of the earlier
+     * waves has stepped into the aisle.
+     * @param {number[][]} waves - Passenger IDs grouped by release wave
+     */
+    setDeplaningOrder(waves) {
+        this.waves = waves.map(ids => ids.map(id => this.passengerStates.get(id)));
+        this.currentWave = 0;
+        this.released = new Set();
+        if (this.waves.length > 0) this._releaseWave(this.waves[0]);
+    }
+
+    /**
+     * Allow a wave's seated passengers to stand up
+     * @param {Object[]} wave - Passenger states
+     */
+    _releaseWave(wave) {
+        for (const ps of wave) {
+            if (ps.state === PassengerState.SEATED) this.released.add(ps);
+        }
+    }
+
+    /**
+     * Boarding order has no meaning when deplaning; treat it as one
+     * passenger per wave.
+     * @param {number[]} orderedIds
+     */
+    setBoardingOrder(orderedIds) {
+        this.setDeplaningOrder(orderedIds.map(id => [id]));
+    }
+
+    /**
+     * Run a single simulation step
+     * @returns {boolean} Whether the simulation is still running
+     */
+    step() {
+        if (this.isComplete) return false;
+
+        this.currentStep++;
+        this._updateObstacles();
+
+        // Process passengers closest to their door first (so followers move into space)
+        const aislePassengers = this._getAislePassengersSorted();
+
+        for (const ps of aislePassengers) {
+            this._processPassengerInAisle(ps);
+        }
+
+        // Let released passengers stand up into free aisle cells
+        this._tryStandUp();
+
+        this._recordWaits();
+
+        // Check completion
+        this._checkCompletion();
+
+        return !this.isComplete;
+    }
+
+    /**
+     * Process a passenger currently in the aisle
+     */
+    _processPassengerInAisle(ps) {
+        switch (ps.state) {
+            case PassengerState.WALKING:
+                this._processWalking(ps);
+                break;
+
+            case PassengerState.RETRIEVING:
+                this._processRetrieving(ps);
+                break;
+        }
+    }
+
+    /**
+     * Process walking passenger (towards the door)
+     */
+    _processWalking(ps) {
+        const { passenger, aisleRow, direction } = ps;
+        const hasBagToCollect = ps.binRow !== null;
+
+        // Pick up luggage on the way out (once level with or past the bin)
+        if (hasBagToCollect && (ps.binRow - aisleRow) * direction <= 0) {
+            ps.state = PassengerState.RETRIEVING;
+            // Reaching back for a bag stowed behind costs extra time
+            ps.stowRemaining = passenger.stowTime + 2 * Math.max(0, (aisleRow - ps.binRow) * direction);
+            this._recordEvent(EventType.RETRIEVE_START, passenger, { row: aisleRow, binRow: ps.binRow });
+            return;
+        }
+
+        // Reached the door
+        if (aisleRow === ps.door.aisleRow) {
+            this._leaveAircraft(ps);
+            return;
+        }
+
+        // Try to move towards the door, stopping at the bin on the way
+        this._walkTowards(ps, this._getWalkTarget(ps));
+    }
+
+    /**
+     * Step out of the aisle through the passenger's door
+     */
+    _leaveAircraft(ps) {
+        this.aircraft.removeFromAisle(ps.aisleRow, ps.aisle);
+        ps.state = PassengerState.EXITED;
+        ps.aisleRow = -1;
+        this._updateAisleOrder(ps);
+        ps.exitedAt = this.currentStep;
+        this.exitedCount++;
+        this._recordEvent(EventType.EXIT, ps.passenger, { door: ps.door.id });
+    }
+
+    /**
+     * Row a walking passenger is currently heading for
+     * @returns {number|null} null if not walking
+     */
+    _getWalkTarget(ps) {
+        if (ps.state !== PassengerState.WALKING) return null;
+        return ps.binRow !== null ? ps.binRow : ps.door.aisleRow;
+    }
+
+    /**
+     * Whether a passenger has their bag in hand (once taken out of the bin)
+     */
+    _isCarryingBag(ps) {
+        return ps.binRow === null && ps.passenger.carryOnSize !== CarryOnSize.NONE;
+    }
+
+    /**
+     * Process passenger taking luggage out of the bin
+     */
+    _processRetrieving(ps) {
+        ps.stowRemaining--;
+
+        if (ps.stowRemaining <= 0) {
+            // Done retrieving
+            this.aircraft.releaseBinCapacity(ps.binRow, ps.passenger.carryOnSize);
+            this._recordEvent(EventType.RETRIEVE_END, ps.passenger, { row: ps.aisleRow, binRow: ps.binRow });
+            ps.binRow = null;
+            this.aircraft.placeInAisle(ps.passenger, ps.aisleRow, ps.aisle, this._aisleFootprint(ps));
+            ps.state = PassengerState.WALKING;
+        } else {
+            // Still retrieving, blocking aisle
+            this._wait(ps);
+        }
+    }
+
+    /**
+     * Release waves whose predecessors have all left their seats
+     * @returns {Set<Object>} Passenger states allowed to stand up
+     */
+    _getReleasedPassengers() {
+        while (this.currentWave < this.waves.length - 1 &&
+            this.waves[this.currentWave].every(ps => ps.state !== PassengerState.SEATED)) {
+            this.currentWave++;
+            this._releaseWave(this.waves[this.currentWave]);
+        }
+        return this.released;
+    }
+
+    /**
+     * Move released, unobstructed seated passengers into the aisle
+     */
+    _tryStandUp() {
+        const released = this._getReleasedPassengers();
+        if (released.size === 0) return;
+
+        // Group candidates by aisle cell (only one can step into each)
+        const candidatesByCell = new Map();
+        for (const ps of released) {
+            const { row, column } = ps.passenger;
+            const canLeaveSeat = this.aircraft.getBlockingSeats(row, column).length === 0;
+
+            if (!canLeaveSeat || this.aircraft.isAisleOccupied(row, ps.aisle, this._aisleFootprint(ps))) {
+                // Ready to go but stuck in the seat
+                this._wait(ps);
+                continue;
+            }
+
+            const cell = `${ps.aisle}-${row}`;
+            if (!candidatesByCell.has(cell)) candidatesByCell.set(cell, []);
+            candidatesByCell.get(cell).push(ps);
+        }
+
+        for (const candidates of candidatesByCell.values()) {
+            // Longest waiting passenger goes first, then by column
+            candidates.sort((a, b) => (b.waitTime - a.waitTime) ||
+                a.passenger.column.localeCompare(b.passenger.column));
+            const [ps, ...others] = candidates;
+
+            for (const other of others) this._wait(other);
+
+            // Someone standing up in a nearby row just now may be too close
+            const { row } = ps.passenger;
+            const footprint = this._aisleFootprint(ps);
+            if (this.aircraft.isAisleOccupied(row, ps.aisle, footprint)) {
+                this._wait(ps);
+                continue;
+            }
+
+            this.aircraft.vacateSeat(row, ps.passenger.column);
+            this.aircraft.placeInAisle(ps.passenger, row, ps.aisle, footprint);
+            ps.state = PassengerState.WALKING;
+            ps.aisleRow = row;
+            ps.enteredAt = this.currentStep;
+            this.released.delete(ps);
+            this._updateAisleOrder(ps);
+            this._recordEvent(EventType.STAND, ps.passenger, { row, column: ps.passenger.column });
+        }
+    }
+
+    /**
+     * The simulation's own state, with the release waves
+     */
+    _serializeState(writer) {
+        const states = (list) => list.map(ps => writer.state(ps));
+        return {
+            ...super._serializeState(writer),
+            exitedCount: this.exitedCount,
+            waves: this.waves.map(states),
+            currentWave: this.currentWave,
+            released: states([...this.released]),
+        };
+    }
+
+    /**
+     * Put the state from _serializeState() back
+     */
+    _restoreState(state, reader) {
+        super._restoreState(state, reader);
+        const states = (ids) => ids.map(id => this.passengerStates.get(id));
+        this.exitedCount = state.exitedCount;
+        this.waves = state.waves.map(states);
+        this.currentWave = state.currentWave;
+        this.released = new Set(states(state.released));
+    }
+
+    /**
+     * Check if every passenger has left the aircraft
+     */
+    _checkCompletion() {
+        if (this.exitedCount === this.passengerStates.size) this.isComplete = true;
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Duration distributions for passenger actions (stowing, letting row-mates past).
+ *
+ * A distribution is plain JSON:
+ *
+ *   { "type": "fixed", "value": 3 }
+ *   { "type": "lognormal", "median": 3, "sigma": 0.4 }          // sigma: spread of ln(time)
+ *   { "type": "triangular", "min": 2, "mode": 3, "max": 8 }
+ *
+ * Samples are whole time steps, at least one. Fixed durations use no
+ * random numbers, so switching them on leaves seeded runs unchanged.
+ */
+
+export const Distribution = {
+    FIXED: 'fixed',
+    LOG_NORMAL: 'lognormal',
+    TRIANGULAR: 'triangular',
+};
+
+/**
+ * Check a distribution spec
+ * @param {Object} spec
+ * @returns {string|null} What is wrong with it, or null if valid
+ */
+export function validateDistribution(spec) {
+    switch (spec?.type) {
+        case Distribution.FIXED:
+            return spec.value >= 0 ? null : `fixed value ${spec.value} must be a non-negative number`;
+        case Distribution.LOG_NORMAL:
+            if (!(spec.median > 0)) return `log-normal median ${spec.median} must be positive`;
+            return spec.sigma >= 0 ? null : `log-normal sigma ${spec.sigma} must be a non-negative number`;
+        case Distribution.TRIANGULAR:
+            return spec.min >= 0 && spec.min <= spec.mode && spec.mode <= spec.max
+                ? null
+                : `triangular needs 0 <= min <= mode <= max (got ${spec.min}, ${spec.mode}, ${spec.max})`;
+        default:
+            return `unknown distribution type "${spec?.type}"`;
+    }
+}
+
+/**
+ * Draw a duration in whole time steps
+ * @param {Object} spec - Distribution spec (see above)
+ * @param {import('./RandomGenerator').RandomGenerator} rng
+ * @returns {number}
+ */
+export function sampleSteps(spec, rng) {
+    switch (spec.type) {
+        case Distribution.FIXED:
+            return spec.value;
+        case Distribution.LOG_NORMAL:
+            return Math.max(1, Math.round(spec.median * Math.exp(spec.sigma * rng.nextGaussian())));
+        case Distribution.TRIANGULAR:
+            return Math.max(1, Math.round(rng.nextTriangular(spec.min, spec.mode, spec.max)));
+        default:
+            throw new Error(`Unknown distribution type: ${spec.type}`);
+    }
+}
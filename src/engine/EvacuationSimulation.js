@@ -0,0 +1,163 @@
+/**
+ * Emergency evacuation simulation.
+ * Starts from a fully seated aircraft like deplaning, but nobody takes a
+ * bag: everyone gets up at once and heads for the nearest usable exit,
+ * and each exit lets passengers out at its own flow rate.
+ */
+
+import { DeplaningSimulation } from './DeplaningSimulation.js';
+import { nearestDoor } from './Aircraft.js';
+
+/**
+ * Default evacuation options, on top of the simulation's
+ */
+export const DEFAULT_EVACUATION_OPTIONS = {
+    blockedExits: [],      // Ids of exits that cannot be used (fire, debris, jammed slide)
+    evacuationTarget: 90,  // Steps the cabin must be cleared in (certification: 90 seconds)
+};
+
+/**
+ * Simulation class that manages an emergency evacuation.
+ * Exits take the place of doors, so timeline, renderer and metrics work
+ * unchanged; snapshots and metrics add each exit and the target.
+ */
+export class EvacuationSimulation extends DeplaningSimulation {
+    /**
+     * @param {Object} config - As for Simulation; options may also override DEFAULT_EVACUATION_OPTIONS
+     */
+    constructor({ options = {}, ...config }) {
+        super({ ...config, options: { ...DEFAULT_EVACUATION_OPTIONS, ...options } });
+    }
+
+    /**
+     * Reset simulation to a fully seated cabin, everyone assigned their
+     * nearest open exit
+     */
+    reset() {
+        super.reset();
+
+        const { blockedExits } = this.options;
+        const unknown = blockedExits.find(id => !this.aircraft.getExit(id));
+        if (unknown) throw new Error(`Unknown exit: ${unknown}`);
+
+        // Exit state: flow credit builds up each step, each passenger out uses one
+        this.exits = this.aircraft.exits
+            .filter(exit => !blockedExits.includes(exit.id))
+            .map(exit => ({ ...exit, flowCredit: 0, evacuated: 0 }));
+        if (this.exits.length === 0) throw new Error('No usable exit to evacuate through');
+
+        for (const ps of this.passengerStates.values()) {
+            ps.door = nearestDoor(this.exits, ps.passenger.row);
+            ps.direction = Math.sign(ps.door.aisleRow - ps.passenger.row);
+        }
+    }
+
+    /**
+     * Bags are left behind
+     */
+    _stowInitialBag() {
+        return null;
+    }
+
+    /**
+     * Bags are left behind
+     */
+    _isCarryingBag() {
+        return false;
+    }
+
+    /**
+     * Evacuations have no release order: everyone goes at once
+     */
+    setDeplaningOrder() {}
+
+    /**
+     * Run a single simulation step
+     * @returns {boolean} Whether the simulation is still running
+     */
+    step() {
+        if (!this.isComplete) {
+            // An idle exit does not bank more than one step's flow
+            for (const exit of this.exits) {
+                exit.flowCredit = Math.min(exit.flowCredit + exit.flowRate, Math.max(1, exit.flowRate));
+            }
+        }
+        return super.step();
+    }
+
+    /**
+     * Process walking passenger (towards their exit, then out when it has room)
+     */
+    _processWalking(ps) {
+        const exit = ps.door;
+        if (ps.aisleRow !== exit.aisleRow) {
+            this._walkTowards(ps, exit.aisleRow);
+            return;
+        }
+
+        if (exit.flowCredit < 1) {
+            this._wait(ps);
+            return;
+        }
+
+        exit.flowCredit--;
+        exit.evacuated++;
+        this._leaveAircraft(ps);
+    }
+
+    /**
+     * The simulation's own state, with each open exit's flow
+     */
+    _serializeState(writer) {
+        return { ...super._serializeState(writer), exits: this.exits };
+    }
+
+    /**
+     * Put the state from _serializeState() back (exits first: passengers head for them)
+     */
+    _restoreState(state, reader) {
+        this.exits = state.exits;
+        super._restoreState(state, reader);
+    }
+
+    /**
+     * Exit passengers head for, by id (for checkpoints)
+     */
+    _getDoorById(id) {
+        const exit = this.exits.find(open => open.id === id);
+        if (!exit) throw new Error(`Invalid checkpoint: no open exit ${id}`);
+        return exit;
+    }
+
+    /**
+     * Snapshot fields for visualization, with every exit (blocked ones
+     * too) and how many got out through it
+     */
+    getSnapshotFields() {
+        return {
+            ...super.getSnapshotFields(),
+            exits: this.aircraft.exits.map(({ id, aisleRow }) => {
+                const exit = this.exits.find(open => open.id === id);
+                return { id, aisleRow, open: Boolean(exit), evacuated: exit?.evacuated ?? 0 };
+            }),
+            evacuationTarget: this.options.evacuationTarget,
+        };
+    }
+
+    /**
+     * Calculate evacuation metrics: whether the cabin cleared within the
+     * target, how many were out by then and through which exits
+     */
+    getMetrics() {
+        const { evacuationTarget } = this.options;
+        const states = [...this.passengerStates.values()];
+
+        return {
+            ...super.getMetrics(),
+            evacuationTarget,
+            clearedInTime: this.isComplete && this.currentStep <= evacuationTarget,
+            evacuatedByTarget: states.filter(ps => ps.exitedAt >= 0 && ps.exitedAt <= evacuationTarget).length,
+            exitCounts: Object.fromEntries(this.exits.map(exit => [exit.id, exit.evacuated])),
+        };
+    }
+}
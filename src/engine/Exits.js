@@ -0,0 +1,62 @@
+/**
+ * Emergency exits used to evacuate the cabin.
+ *
+ * An exit is plain JSON:
+ *
+ *   { "id": "front", "row": 0, "flowRate": 1 }          // Front door pair, ahead of row 1
+ *   { "id": "overwing-10", "row": 10, "flowRate": 0.5 } // Overwing exits beside exit row 10
+ *   { "id": "rear", "row": 31, "flowRate": 1 }          // Rear door pair, behind the last row
+ *
+ * "row" is the aisle row passengers leave the aisle at: 0 in front of the
+ * cabin, rows + 1 behind it, or a seat row. "flowRate" is how many
+ * passengers per step get through, both sides of the cabin together.
+ */
+
+/**
+ * Passengers per step through each kind of exit, when not given
+ */
+export const DEFAULT_EXIT_FLOW_RATES = {
+    door: 1,        // Floor-level door pair with slides
+    overwing: 0.5,  // Hatches over the wing: climb out onto the wing
+};
+
+/**
+ * Exits a cabin has without explicit definitions: the front and rear
+ * doors, and overwing exits at its exit rows
+ * @param {number} rows
+ * @param {number[]} exitRows
+ * @returns {Object[]} Exits in the JSON format above
+ */
+export function defaultExits(rows, exitRows) {
+    return [
+        { id: 'front', row: 0, flowRate: DEFAULT_EXIT_FLOW_RATES.door },
+        ...exitRows.map(row => ({ id: `overwing-${row}`, row, flowRate: DEFAULT_EXIT_FLOW_RATES.overwing })),
+        { id: 'rear', row: rows + 1, flowRate: DEFAULT_EXIT_FLOW_RATES.door },
+    ];
+}
+
+/**
+ * Parse and validate exit definitions
+ * @param {Object[]} specs - Exits in the JSON format above
+ * @param {{rows: number}} cabin - Aisle rows run from 0 to rows + 1
+ * @returns {Array<{id: string, aisleRow: number, flowRate: number}>}
+ * @throws {Error} If an exit is malformed
+ */
+export function parseExits(specs, { rows }) {
+    const ids = new Set();
+    return specs.map((spec, index) => {
+        const id = spec.id ?? `exit-${index + 1}`;
+        const fail = (message) => {
+            throw new Error(`Invalid exit "${id}": ${message}`);
+        };
+
+        if (ids.has(id)) fail('id is used by another exit');
+        ids.add(id);
+
+        if (!Number.isInteger(spec.row) || spec.row < 0 || spec.row > rows + 1) fail(`row ${spec.row} is outside the aisle`);
+        const flowRate = spec.flowRate ?? DEFAULT_EXIT_FLOW_RATES.door;
+        if (!(flowRate > 0)) fail(`flow rate ${flowRate} must be positive`);
+
+        return { id, aisleRow: spec.row, flowRate };
+    });
+}
@@ -0,0 +1,93 @@
+/**
+ * Scripted aisle obstacles: cabin crew and service carts.
+ *
+ * An obstacle is plain JSON, timed in simulation steps:
+ *
+ *   { "id": "fa", "type": "crew", "from": 0, "to": 15, "start": 60, "hold": 40 }
+ *       // Flight attendant walks from row 0 (the front galley) to row 15,
+ *       // helps with bags there for 40 steps, then walks back and leaves
+ *   { "id": "cart", "type": "cart", "rows": [10, 12], "start": 60, "end": 180 }
+ *       // Catering cart blocking rows 10-12 from step 60 until step 180
+ *
+ * Both take an optional "aisle" (index, default 0); crew an optional
+ * "speed" in rows per step (default 1). Obstacles follow their script
+ * whoever is in the aisle: passengers already there may leave, but
+ * nobody steps into a blocked row.
+ */
+
+export const ObstacleType = {
+    CREW: 'crew',  // Walks to a row, stays a while, walks back
+    CART: 'cart',  // Parked over a range of rows for a time window
+};
+
+/**
+ * Parse and validate obstacle scripts
+ * @param {Object[]} specs - Obstacles in the JSON format above
+ * @param {{rows: number, aisleCount: number}} cabin - Aisle rows run from 0 to rows + 1
+ * @returns {Object[]} Obstacles with defaults filled in
+ * @throws {Error} If an obstacle is malformed
+ */
+export function parseObstacles(specs, { rows, aisleCount }) {
+    return specs.map((spec, index) => {
+        const id = spec.id ?? `${spec.type}-${index + 1}`;
+        const fail = (message) => {
+            throw new Error(`Invalid obstacle "${id}": ${message}`);
+        };
+        const checkRow = (row, what) => {
+            if (!Number.isInteger(row) || row < 0 || row > rows + 1) fail(`${what} row ${row} is outside the aisle`);
+        };
+
+        const aisle = spec.aisle ?? 0;
+        if (!Number.isInteger(aisle) || aisle < 0 || aisle >= aisleCount) fail(`aisle ${aisle} does not exist`);
+        if (!(spec.start >= 0)) fail(`start ${spec.start} must be a non-negative step`);
+
+        switch (spec.type) {
+            case ObstacleType.CREW: {
+                checkRow(spec.from, 'from');
+                checkRow(spec.to, 'to');
+                const speed = spec.speed ?? 1;
+                const hold = spec.hold ?? 0;
+                if (!(speed > 0)) fail(`speed ${speed} must be positive`);
+                if (!(hold >= 0)) fail(`hold ${hold} must be a non-negative number of steps`);
+                return { id, type: spec.type, aisle, from: spec.from, to: spec.to, start: spec.start, hold, speed };
+            }
+            case ObstacleType.CART: {
+                const [first, last] = spec.rows ?? [];
+                checkRow(first, 'first');
+                checkRow(last, 'last');
+                if (last < first) fail(`rows [${first}, ${last}] must be ascending`);
+                if (!(spec.end > spec.start)) fail(`end ${spec.end} must come after start ${spec.start}`);
+                return { id, type: spec.type, aisle, rows: [first, last], start: spec.start, end: spec.end };
+            }
+            default:
+                return fail(`unknown obstacle type "${spec.type}"`);
+        }
+    });
+}
+
+/**
+ * Aisle rows an obstacle blocks at a step
+ * @param {Object} obstacle - Parsed obstacle
+ * @param {number} step
+ * @returns {number[]} Empty when the obstacle is not in the aisle
+ */
+export function obstacleRowsAt(obstacle, step) {
+    const elapsed = step - obstacle.start;
+    if (elapsed < 0) return [];
+
+    if (obstacle.type === ObstacleType.CART) {
+        if (step >= obstacle.end) return [];
+        const [first, last] = obstacle.rows;
+        return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+    }
+
+    // Crew: out, hold, back
+    const { from, to, hold, speed } = obstacle;
+    const direction = Math.sign(to - from);
+    const walk = Math.ceil(Math.abs(to - from) / speed);
+
+    if (elapsed < walk) return [from + direction * Math.floor(elapsed * speed)];
+    if (elapsed < walk + hold) return [to];
+    if (elapsed < 2 * walk + hold) return [to - direction * Math.floor((elapsed - walk - hold) * speed)];
+    return [];
+}
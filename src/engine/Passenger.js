@@ -3,6 +3,9 @@
  * Each passenger has a seat assignment and behavioral characteristics.
  */
 
+import { BoardingDoor, DEFAULT_CONFIG, describeSeat, nearestDoor } from './Aircraft.js';
+import { Distribution, sampleSteps } from './Distributions.js';
+
 export const WalkSpeed = {
     SLOW: 'slow',
     NORMAL: 'normal',
@@ -21,6 +24,101 @@ export const ComplianceLevel = {
     OPPORTUNISTIC: 'opportunistic', // May deviate if advantageous
 };
 
+export const GroupType = {
+    COUPLE: 'couple',
+    FAMILY: 'family',      // One or two adults travelling with children
+    BUSINESS: 'business',  // Colleagues travelling together
+};
+
+/**
+ * Who boards ahead of everyone else
+ */
+export const BoardingGroup = {
+    GENERAL: 'general',
+    PREMIUM: 'premium',        // Premium cabin, seated at the front
+    ELITE: 'elite',            // Frequent-flyer status holders
+    ASSISTANCE: 'assistance',  // Reduced mobility, boarding with help
+};
+
+/**
+ * How seats end up assigned when the flight is not full
+ */
+export const SeatAssignment = {
+    RANDOM: 'random',          // Every seat equally likely
+    PREFERENCE: 'preference',  // Passengers choose: windows and aisles, and front rows, go first
+    AUTO_BACK: 'auto-back',    // Airline auto-assignment filling the cabin from the back
+    AUTO_FRONT: 'auto-front',  // Airline auto-assignment filling the cabin from the front
+};
+
+/**
+ * Relative appeal of seats when passengers choose (SeatAssignment.PREFERENCE)
+ */
+export const DEFAULT_SEAT_PREFERENCES = {
+    window: 3,
+    aisle: 2.5,
+    middle: 1,
+    front: 2,  // The first row is this many times as appealing as the last
+};
+
+// Order auto-assignment fills a row in
+const AUTO_ASSIGN_CLASS_ORDER = ['window', 'aisle', 'middle'];
+
+/**
+ * Share of passengers travelling in each kind of group (0-1)
+ */
+export const DEFAULT_GROUP_MIX = {
+    [GroupType.COUPLE]: 0,
+    [GroupType.FAMILY]: 0,
+    [GroupType.BUSINESS]: 0,
+};
+
+/**
+ * Share of passengers in each priority boarding group (0-1); the rest are general
+ */
+export const DEFAULT_BOARDING_GROUPS = {
+    [BoardingGroup.PREMIUM]: 0,
+    [BoardingGroup.ELITE]: 0,
+    [BoardingGroup.ASSISTANCE]: 0,
+};
+
+/**
+ * Default action durations (time steps), as distributions (see Distributions.js)
+ */
+export const DEFAULT_TIMING = {
+    stowTime: {
+        [CarryOnSize.SMALL]: { type: Distribution.FIXED, value: 3 },
+        [CarryOnSize.LARGE]: { type: Distribution.FIXED, value: 8 },
+    },
+    shuffleTime: { type: Distribution.FIXED, value: 3 },  // Letting a row-mate squeeze past in the seat
+};
+
+/**
+ * Default passenger population: relative weights of each attribute value,
+ * travel and priority boarding groups (share of passengers), action durations
+ * and the share of seats filled
+ */
+export const DEFAULT_POPULATION = {
+    walkSpeed: {
+        [WalkSpeed.SLOW]: 20,
+        [WalkSpeed.NORMAL]: 60,  // Normal is more common
+        [WalkSpeed.FAST]: 20,
+    },
+    carryOnSize: {
+        [CarryOnSize.NONE]: 20,
+        [CarryOnSize.SMALL]: 60,  // Small is most common
+        [CarryOnSize.LARGE]: 20,
+    },
+    compliance: {
+        [ComplianceLevel.STRICT]: 20,
+        [ComplianceLevel.NORMAL]: 60,
+        [ComplianceLevel.OPPORTUNISTIC]: 20,
+    },
+    groupMix: DEFAULT_GROUP_MIX,
+    boardingGroups: DEFAULT_BOARDING_GROUPS,
+    timing: DEFAULT_TIMING,
+    loadFactor: 0.83,
+};
+
 // Walk speed multipliers (cells per time step)
 const SPEED_MULTIPLIERS = {
     [WalkSpeed.SLOW]: 0.7,
@@ -28,13 +126,27 @@ const SPEED_MULTIPLIERS = {
     [WalkSpeed.FAST]: 1.3,
 };
 
-// Time to stow luggage (in time steps)
+// Default cabin cross-section (3-3 single aisle)
+const DEFAULT_LAYOUT = {
+    columns: DEFAULT_CONFIG.columns,
+    aislePositions: [DEFAULT_CONFIG.aislePosition],
+};
+
+// Time to stow luggage (in time steps) unless sampled
 const STOW_TIMES = {
     [CarryOnSize.NONE]: 0,
     [CarryOnSize.SMALL]: 3,
     [CarryOnSize.LARGE]: 8,
 };
 
+// Time to let a row-mate squeeze past in the seat (in time steps) unless sampled
+const SHUFFLE_TIME = 3;
+
+// Reduced-mobility passengers walk at this speed whatever their walkSpeed,
+// and take this many steps to get into their seat
+const ASSISTANCE_SPEED_MULTIPLIER = 0.4;
+const ASSISTANCE_SEAT_TIME = 10;
+
 /**
  * Passenger class representing a single passenger
  */
@@ -43,11 +155,18 @@ export class Passenger {
      * @param {Object} config
      * @param {number} config.id - Unique passenger ID
      * @param {number} config.row - Seat row (1-indexed)
-     * @param {string} config.column - Seat column (A-F for 3-3 config)
+     * @param {string} config.column - Seat column label
      * @param {string} config.walkSpeed - From WalkSpeed enum
      * @param {string} config.carryOnSize - From CarryOnSize enum
      * @param {string} config.compliance - From ComplianceLevel enum
      * @param {number|null} config.groupId - Optional group identifier
+     * @param {number} config.groupSize - Number of passengers in the group (1 when travelling alone)
+     * @param {string|null} config.groupType - From GroupType enum
+     * @param {number} [config.stowTime] - Steps to stow the carry-on (0 without one)
+     * @param {number} [config.shuffleTime] - Steps to let a row-mate squeeze past in the seat
+     * @param {string} [config.boardingGroup] - From BoardingGroup enum
+     * @param {string} config.door - Assigned boarding door id
+     * @param {{columns: string[], aislePositions: number[], rowColumns?: string[]}} config.layout - Cabin cross-section (and the seats of this row)
      */
     constructor({
         id,
@@ -57,6 +176,13 @@ export class Passenger {
         carryOnSize = CarryOnSize.SMALL,
         compliance = ComplianceLevel.NORMAL,
         groupId = null,
+        groupSize = 1,
+        groupType = null,
+        stowTime = STOW_TIMES[carryOnSize],
+        shuffleTime = SHUFFLE_TIME,
+        boardingGroup = BoardingGroup.GENERAL,
+        door = BoardingDoor.FRONT,
+        layout = DEFAULT_LAYOUT,
     }) {
         // Immutable properties (freeze at end)
         this.id = id;
@@ -66,52 +192,71 @@ export class Passenger {
         this.carryOnSize = carryOnSize;
         this.compliance = compliance;
         this.groupId = groupId;
+        this.groupSize = groupSize;
+        this.groupType = groupType;
+        this.boardingGroup = boardingGroup;
+        this.door = door;
 
         // Derived properties
-        this.seatClass = this._computeSeatClass();
-        this.speedMultiplier = SPEED_MULTIPLIERS[walkSpeed];
-        this.stowTime = STOW_TIMES[carryOnSize];
+        const seat = describeSeat(column, layout.columns, layout.aislePositions, layout.rowColumns);
+        this.seatClass = seat.seatClass;
+        this.aisle = seat.aisle;                   // Index of the aisle used to reach the seat
+        this.aisleAccessColumn = seat.side;        // Side of that aisle: 'left' or 'right'
+        this.seatsToPass = seat.seatsToPass;       // Seats between the aisle and this seat
+        const assisted = boardingGroup === BoardingGroup.ASSISTANCE;
+        this.speedMultiplier = assisted ? ASSISTANCE_SPEED_MULTIPLIER : SPEED_MULTIPLIERS[walkSpeed];
+        this.stowTime = carryOnSize === CarryOnSize.NONE ? 0 : stowTime;
+        this.shuffleTime = shuffleTime;
+        this.seatTime = assisted ? ASSISTANCE_SEAT_TIME : 0;  // Steps to sit down once at the seat
 
         // Freeze to enforce immutability
         Object.freeze(this);
     }
 
     /**
-     * Compute seat class (window, middle, aisle) based on column
-     * For 3-3 configuration: A=window, B=middle, C=aisle, D=aisle, E=middle, F=window
-     * @returns {string}
+     * Copy of this passenger in another seat (open seating)
+     * @param {number} row
+     * @param {string} column
+     * @param {{columns: string[], aislePositions: number[], rowColumns?: string[]}} layout
+     * @returns {Passenger}
      */
-    _computeSeatClass() {
-        const columnIndex = this.column.charCodeAt(0) - 'A'.charCodeAt(0);
-        if (columnIndex === 0 || columnIndex === 5) return 'window';
-        if (columnIndex === 1 || columnIndex === 4) return 'middle';
-        return 'aisle';
+    withSeat(row, column, layout) {
+        const { id, walkSpeed, carryOnSize, compliance, groupId, groupSize, groupType, stowTime, shuffleTime, boardingGroup, door } = this;
+        return new Passenger({
+            id, row, column, walkSpeed, carryOnSize, compliance, groupId, groupSize, groupType, stowTime, shuffleTime, boardingGroup, door, layout,
+        });
     }
 
     /**
-     * Get the aisle column index for this passenger's row
-     * Returns the column index they need to reach to access their seat
+     * Copy of this passenger left with a smaller carry-on (bag checked at the gate).
+     * Stowing what is left takes no longer than a small bag by default.
+     * @param {string} carryOnSize - From CarryOnSize enum
+     * @param {{columns: string[], aislePositions: number[], rowColumns?: string[]}} layout
+     * @returns {Passenger}
      */
-    get aisleAccessColumn() {
-        const columnIndex = this.column.charCodeAt(0) - 'A'.charCodeAt(0);
-        // Columns A, B, C access from left aisle position
-        // Columns D, E, F access from right aisle position
-        return columnIndex < 3 ? 'left' : 'right';
+    withCarryOn(carryOnSize, layout) {
+        const { id, row, column, walkSpeed, compliance, groupId, groupSize, groupType, shuffleTime, boardingGroup, door } = this;
+        return new Passenger({
+            id, row, column, walkSpeed, carryOnSize, compliance, groupId, groupSize, groupType, shuffleTime, boardingGroup, door, layout,
+            stowTime: Math.min(this.stowTime, STOW_TIMES[carryOnSize]),
+        });
     }
 
     /**
-     * Get number of seats this passenger needs to pass to reach their seat
-     * (number of people who might need to stand up)
+     * Every field, derived ones included, as plain JSON (for checkpoints)
+     * @returns {Object}
      */
-    get seatsToPass() {
-        const columnIndex = this.column.charCodeAt(0) - 'A'.charCodeAt(0);
-        // From left: A=2, B=1, C=0
-        // From right: D=0, E=1, F=2
-        if (columnIndex < 3) {
-            return 2 - columnIndex;
-        } else {
-            return columnIndex - 3;
-        }
+    serialize() {
+        return { ...this };
+    }
+
+    /**
+     * Rebuild a passenger from serialize(), exactly as it was
+     * @param {Object} fields
+     * @returns {Passenger}
+     */
+    static deserialize(fields) {
+        return Object.freeze(Object.assign(Object.create(Passenger.prototype), fields));
     }
 
     /**
@@ -127,67 +272,295 @@ export class Passenger {
             carryOnSize: this.carryOnSize,
             compliance: this.compliance,
             groupId: this.groupId,
+            groupSize: this.groupSize,
+            boardingGroup: this.boardingGroup,
             seatsToPass: this.seatsToPass,
+            aisle: this.aisle,
+            door: this.door,
         };
     }
 }
 
+/**
+ * Pick the random behavioural attributes of a passenger
+ * @param {import('./RandomGenerator').RandomGenerator} rng
+ * @param {Object} population - Attribute weights (see DEFAULT_POPULATION)
+ */
+function randomAttributes(rng, population) {
+    const pick = (values, weights) => rng.pickWeighted(values.map(value => [value, weights[value] ?? 0]));
+
+    return {
+        walkSpeed: pick(Object.values(WalkSpeed), population.walkSpeed),
+        carryOnSize: pick(Object.values(CarryOnSize), population.carryOnSize),
+        compliance: pick(Object.values(ComplianceLevel), population.compliance),
+    };
+}
+
+/**
+ * Draw a passenger's action durations
+ * @param {string} carryOnSize
+ * @param {Object} timing - Distributions (see DEFAULT_TIMING)
+ * @param {import('./RandomGenerator').RandomGenerator} rng
+ */
+function sampleTimes(carryOnSize, timing, rng) {
+    return {
+        stowTime: carryOnSize === CarryOnSize.NONE ? 0 : sampleSteps(timing.stowTime[carryOnSize], rng),
+        shuffleTime: sampleSteps(timing.shuffleTime, rng),
+    };
+}
+
+/**
+ * Put passengers in priority boarding groups: the premium share takes the
+ * front-most seats, the elite and assistance shares are drawn at random
+ * @param {Array<{seat: {row: number}}>} seated
+ * @param {Object} boardingGroups - Share per BoardingGroup (see DEFAULT_BOARDING_GROUPS)
+ * @param {import('./RandomGenerator').RandomGenerator} rng
+ * @returns {string[]} Boarding group per passenger
+ */
+function assignBoardingGroups(seated, boardingGroups, rng) {
+    const groups = seated.map(() => BoardingGroup.GENERAL);
+
+    const premiumCount = Math.round((boardingGroups[BoardingGroup.PREMIUM] ?? 0) * seated.length);
+    const frontToBack = seated.map((_, index) => index).sort((a, b) => seated[a].seat.row - seated[b].seat.row);
+    for (const index of frontToBack.slice(0, premiumCount)) {
+        groups[index] = BoardingGroup.PREMIUM;
+    }
+
+    // No draws unless someone can be elite or need assistance
+    const assistance = boardingGroups[BoardingGroup.ASSISTANCE] ?? 0;
+    const elite = boardingGroups[BoardingGroup.ELITE] ?? 0;
+    if (assistance + elite === 0) return groups;
+
+    // Premium seats took their share of the passengers; scale the rest to match
+    const scale = seated.length / Math.max(1, seated.length - premiumCount);
+    groups.forEach((group, index) => {
+        if (group !== BoardingGroup.GENERAL) return;
+        const draw = rng.next();
+        if (draw < assistance * scale) groups[index] = BoardingGroup.ASSISTANCE;
+        else if (draw < (assistance + elite) * scale) groups[index] = BoardingGroup.ELITE;
+    });
+
+    return groups;
+}
+
+/**
+ * Split the group share of the passengers into individual groups
+ * @returns {Array<{type: string, size: number}>}
+ */
+function planGroups(count, groupMix, rng) {
+    const groups = [];
+    let remaining = count;
+
+    for (const type of Object.values(GroupType)) {
+        let toSeat = Math.min(remaining, Math.round(count * (groupMix[type] ?? 0)));
+
+        while (toSeat >= 2) {
+            const size = type === GroupType.FAMILY ? Math.min(toSeat, rng.pick([3, 3, 4])) : 2;
+            groups.push({ type, size });
+            toSeat -= size;
+            remaining -= size;
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Put seats in the order they get booked
+ * @param {Array<{row: number, column: string}>} allSeats - Sorted in place
+ * @param {string} seatAssignment - From SeatAssignment enum
+ * @param {Object} preferences - Seat appeal (see DEFAULT_SEAT_PREFERENCES)
+ * @returns {Map<string, number>|null} Booking rank per "row-column", null when random
+ */
+function orderSeats(allSeats, seatAssignment, { rows, columns, aislePositions, rowColumns, preferences }, rng) {
+    if (seatAssignment === SeatAssignment.RANDOM) {
+        rng.shuffle(allSeats);
+        return null;
+    }
+
+    const keys = new Map();
+    for (const seat of allSeats) {
+        const { seatClass } = describeSeat(seat.column, columns, aislePositions, rowColumns.get(seat.row));
+        if (seatAssignment === SeatAssignment.PREFERENCE) {
+            // Weighted sampling without replacement: appealing seats tend to go first
+            const frontness = rows > 1 ? (rows - seat.row) / (rows - 1) : 1;
+            const weight = preferences[seatClass] * (1 + (preferences.front - 1) * frontness);
+            keys.set(seat, -Math.log(rng.next()) / weight);
+        } else {
+            const rowKey = seatAssignment === SeatAssignment.AUTO_BACK ? -seat.row : seat.row;
+            keys.set(seat, [rowKey, AUTO_ASSIGN_CLASS_ORDER.indexOf(seatClass), rng.next()]);
+        }
+    }
+
+    if (seatAssignment === SeatAssignment.PREFERENCE) {
+        allSeats.sort((a, b) => keys.get(a) - keys.get(b));
+    } else {
+        allSeats.sort((a, b) => {
+            const [ka, kb] = [keys.get(a), keys.get(b)];
+            return (ka[0] - kb[0]) || (ka[1] - kb[1]) || (ka[2] - kb[2]);
+        });
+    }
+
+    return new Map(allSeats.map((seat, rank) => [`${seat.row}-${seat.column}`, rank]));
+}
+
+/**
+ * Find free seats next to each other in one row, preferring blocks that
+ * do not straddle an aisle. With a booking rank, the block booked
+ * earliest on average is taken; otherwise a random one.
+ * @param {Set<string>} taken - Taken seats as "row-column" keys
+ * @param {Map<string, number>|null} seatRanks - Booking rank per seat
+ * @returns {Array<{row: number, column: string}>|null}
+ */
+function findAdjacentSeats(size, rowColumns, columns, aislePositions, taken, rng, seatRanks) {
+    const sameSide = [];
+    const acrossAisle = [];
+
+    for (const [row, seats] of rowColumns) {
+        for (let start = 0; start + size <= seats.length; start++) {
+            const block = seats.slice(start, start + size).map(column => ({ row, column }));
+            if (block.some(seat => taken.has(`${seat.row}-${seat.column}`))) continue;
+
+            const first = columns.indexOf(block[0].column);
+            const last = columns.indexOf(block[size - 1].column);
+            const spansAisle = aislePositions.some(pos => pos > first && pos <= last);
+            (spansAisle ? acrossAisle : sameSide).push(block);
+        }
+    }
+
+    const choose = (blocks) => {
+        if (!seatRanks) return rng.pick(blocks);
+        const rankSum = block => block.reduce((sum, seat) => sum + seatRanks.get(`${seat.row}-${seat.column}`), 0);
+        return blocks.reduce((best, block) => (rankSum(block) < rankSum(best) ? block : best));
+    };
+
+    if (sameSide.length > 0) return choose(sameSide);
+    if (acrossAisle.length > 0) return choose(acrossAisle);
+    return null;
+}
+
+/**
+ * Seat travel groups together and give their members matching attributes
+ * @returns {Array<{seat: Object, attributes: Object, group: Object|null}>}
+ */
+function seatGroups(groups, rowColumns, columns, aislePositions, allSeats, taken, rng, population, seatRanks) {
+    const seated = [];
+
+    groups.forEach((group, index) => {
+        const groupInfo = { groupId: index + 1, groupSize: group.size, groupType: group.type };
+        let seats = findAdjacentSeats(group.size, rowColumns, columns, aislePositions, taken, rng, seatRanks);
+
+        // Cabin too full for a block: sit wherever there is room
+        if (!seats) {
+            seats = allSeats.filter(seat => !taken.has(`${seat.row}-${seat.column}`)).slice(0, group.size);
+        }
+
+        const lead = randomAttributes(rng, population);
+        const adults = group.type === GroupType.FAMILY ? Math.max(1, group.size - 2) : group.size;
+
+        seats.forEach((seat, member) => {
+            taken.add(`${seat.row}-${seat.column}`);
+
+            let attributes = member === 0 ? lead : randomAttributes(rng, population);
+            if (group.type === GroupType.FAMILY && member >= adults) {
+                // Children: slow, no bag of their own, follow the adults
+                attributes = {
+                    walkSpeed: WalkSpeed.SLOW,
+                    carryOnSize: CarryOnSize.NONE,
+                    compliance: lead.compliance,
+                };
+            } else if (group.type === GroupType.BUSINESS && attributes.carryOnSize === CarryOnSize.NONE) {
+                // Business travellers always bring a bag on board
+                attributes = { ...attributes, carryOnSize: CarryOnSize.SMALL };
+            }
+
+            seated.push({ seat, attributes, group: groupInfo });
+        });
+    });
+
+    return seated;
+}
+
 /**
  * Generate passengers for a simulation
  * @param {Object} config
  * @param {number} config.count - Number of passengers
  * @param {number} config.rows - Number of rows in aircraft
  * @param {string[]} config.columns - Column labels
+ * @param {number[]} [config.aislePositions] - Column index each aisle sits before
  * @param {import('./RandomGenerator').RandomGenerator} config.rng - Random generator
+ * @param {Array<{id: string, aisleRow: number}>} [config.doors] - Boarding doors; passengers use the nearest
+ * @param {Array<{row: number, column: string}>} [config.seats] - Seats that exist; defaults to every column of every row
+ * @param {Object} [config.population] - Attribute weights, group mix, boarding groups and timing (see DEFAULT_POPULATION)
+ * @param {Object} [config.groupMix] - Share of passengers per GroupType, seated together; overrides the population's
+ * @param {string} [config.seatAssignment] - From SeatAssignment enum: which seats a partly full flight uses
+ * @param {Object} [config.seatPreferences] - Seat appeal for SeatAssignment.PREFERENCE
  * @returns {Passenger[]}
  */
-export function generatePassengers({ count, rows, columns, rng }) {
+export function generatePassengers({
+    count,
+    rows,
+    columns,
+    aislePositions = DEFAULT_LAYOUT.aislePositions,
+    rng,
+    doors = [{ id: BoardingDoor.FRONT, aisleRow: 0 }],
+    seats = null,
+    population = DEFAULT_POPULATION,
+    groupMix = population.groupMix,
+    seatAssignment = SeatAssignment.RANDOM,
+    seatPreferences = DEFAULT_SEAT_PREFERENCES,
+}) {
     // Create all possible seats
     const allSeats = [];
-    for (let row = 1; row <= rows; row++) {
-        for (const column of columns) {
-            allSeats.push({ row, column });
+    if (seats) {
+        allSeats.push(...seats);
+    } else {
+        for (let row = 1; row <= rows; row++) {
+            for (const column of columns) {
+                allSeats.push({ row, column });
+            }
         }
     }
 
-    // Shuffle and take the required number
-    rng.shuffle(allSeats);
-    const selectedSeats = allSeats.slice(0, count);
-
-    // Create passengers with random attributes
-    return selectedSeats.map((seat, index) => {
-        const walkSpeed = rng.pick([
-            WalkSpeed.SLOW,
-            WalkSpeed.NORMAL,
-            WalkSpeed.NORMAL,  // Normal is more common
-            WalkSpeed.NORMAL,
-            WalkSpeed.FAST,
-        ]);
-
-        const carryOnSize = rng.pick([
-            CarryOnSize.NONE,
-            CarryOnSize.SMALL,
-            CarryOnSize.SMALL,  // Small is most common
-            CarryOnSize.SMALL,
-            CarryOnSize.LARGE,
-        ]);
-
-        const compliance = rng.pick([
-            ComplianceLevel.STRICT,
-            ComplianceLevel.NORMAL,
-            ComplianceLevel.NORMAL,
-            ComplianceLevel.NORMAL,
-            ComplianceLevel.OPPORTUNISTIC,
-        ]);
+    // Columns with a seat, per row (in cabin order)
+    const rowColumns = new Map();
+    for (const { row, column } of allSeats) {
+        if (!rowColumns.has(row)) rowColumns.set(row, []);
+        rowColumns.get(row).push(column);
+    }
 
-        return new Passenger({
-            id: index + 1,
-            row: seat.row,
-            column: seat.column,
-            walkSpeed,
-            carryOnSize,
-            compliance,
-            groupId: null, // Groups can be added later
-        });
-    });
+    const seatRanks = orderSeats(allSeats, seatAssignment, {
+        rows, columns, aislePositions, rowColumns, preferences: seatPreferences,
+    }, rng);
+
+    // Seat travel groups first, then fill up with solo travellers
+    const groups = planGroups(count, groupMix, rng);
+    const taken = new Set();
+    const seated = seatGroups(groups, rowColumns, columns, aislePositions, allSeats, taken, rng, population, seatRanks);
+
+    const soloSeats = allSeats
+        .filter(seat => !taken.has(`${seat.row}-${seat.column}`))
+        .slice(0, count - seated.length);
+
+    for (const seat of soloSeats) {
+        seated.push({ seat, attributes: randomAttributes(rng, population), group: null });
+    }
+
+    // Durations and boarding groups are drawn last, so fixed timings and no
+    // priority groups leave earlier draws untouched
+    const timing = population.timing ?? DEFAULT_TIMING;
+    const times = seated.map(({ attributes }) => sampleTimes(attributes.carryOnSize, timing, rng));
+    const boardingGroups = assignBoardingGroups(seated, population.boardingGroups ?? DEFAULT_BOARDING_GROUPS, rng);
+
+    return seated.map(({ seat, attributes, group }, index) => new Passenger({
+        id: index + 1,
+        row: seat.row,
+        column: seat.column,
+        ...attributes,
+        ...group,
+        ...times[index],
+        boardingGroup: boardingGroups[index],
+        door: nearestDoor(doors, seat.row).id,
+        layout: { columns, aislePositions, rowColumns: rowColumns.get(seat.row) },
+    }));
 }
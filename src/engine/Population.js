@@ -0,0 +1,129 @@
+/**
+ * Declarative passenger population profiles.
+ *
+ * A profile is plain JSON:
+ *
+ *   {
+ *     "id": "business-commuter",
+ *     "name": "Business commuter",
+ *     "description": "Frequent flyers with roller bags",
+ *     "loadFactor": 0.85,                                        // Share of seats filled
+ *     "walkSpeed": { "slow": 5, "normal": 45, "fast": 50 },      // Relative weights
+ *     "carryOnSize": { "none": 5, "small": 50, "large": 45 },
+ *     "compliance": { "strict": 30, "normal": 55, "opportunistic": 15 },
+ *     "groupMix": { "couple": 0.05, "business": 0.3 },           // Share of passengers per group type
+ *     "boardingGroups": { "premium": 0.08, "elite": 0.2 },       // Share boarding ahead of the rest
+ *     "timing": {                                                // Action durations (see Distributions.js)
+ *       "stowTime": {
+ *         "small": { "type": "lognormal", "median": 3, "sigma": 0.4 },
+ *         "large": { "type": "lognormal", "median": 8, "sigma": 0.45 }
+ *       },
+ *       "shuffleTime": { "type": "triangular", "min": 2, "mode": 3, "max": 6 }
+ *     }
+ *   }
+ *
+ * Weights need not add up to 100; any attribute or duration left out keeps
+ * the default population's.
+ */
+
+import { WalkSpeed, CarryOnSize, ComplianceLevel, GroupType, BoardingGroup, DEFAULT_POPULATION, DEFAULT_TIMING } from './Passenger.js';
+import { validateDistribution } from './Distributions.js';
+
+const WEIGHTED_ATTRIBUTES = {
+    walkSpeed: WalkSpeed,
+    carryOnSize: CarryOnSize,
+    compliance: ComplianceLevel,
+};
+
+/**
+ * Parse and validate a population profile
+ * @param {Object} spec - Profile in the JSON format above
+ * @returns {{
+ *   id: string|null,
+ *   name: string,
+ *   description: string,
+ *   loadFactor: number,
+ *   walkSpeed: Object<string, number>,
+ *   carryOnSize: Object<string, number>,
+ *   compliance: Object<string, number>,
+ *   groupMix: Object<string, number>,
+ *   boardingGroups: Object<string, number>,
+ *   timing: {stowTime: Object<string, Object>, shuffleTime: Object},
+ * }}
+ * @throws {Error} If the profile is malformed
+ */
+export function parsePopulationProfile(spec) {
+    const name = spec.name ?? spec.id ?? 'population';
+    const fail = (message) => {
+        throw new Error(`Invalid population profile "${name}": ${message}`);
+    };
+
+    const profile = {
+        id: spec.id ?? null,
+        name,
+        description: spec.description ?? '',
+        loadFactor: spec.loadFactor ?? DEFAULT_POPULATION.loadFactor,
+    };
+
+    if (!(profile.loadFactor > 0 && profile.loadFactor <= 1)) fail(`load factor ${profile.loadFactor} must be in (0, 1]`);
+
+    for (const [attribute, values] of Object.entries(WEIGHTED_ATTRIBUTES)) {
+        const weights = spec[attribute] ?? DEFAULT_POPULATION[attribute];
+        const known = Object.values(values);
+
+        const unknown = Object.keys(weights).find(value => !known.includes(value));
+        if (unknown) fail(`${attribute} has unknown value "${unknown}"`);
+
+        const invalid = Object.entries(weights).find(([, weight]) => !(weight >= 0));
+        if (invalid) fail(`${attribute} weight for "${invalid[0]}" must be a non-negative number`);
+
+        if (!Object.values(weights).some(weight => weight > 0)) fail(`${attribute} needs at least one positive weight`);
+
+        profile[attribute] = Object.fromEntries(known.map(value => [value, weights[value] ?? 0]));
+    }
+
+    const groupMix = spec.groupMix ?? DEFAULT_POPULATION.groupMix;
+    const groupTypes = Object.values(GroupType);
+    const unknownGroup = Object.keys(groupMix).find(type => !groupTypes.includes(type));
+    if (unknownGroup) fail(`groupMix has unknown group type "${unknownGroup}"`);
+
+    profile.groupMix = Object.fromEntries(groupTypes.map(type => [type, groupMix[type] ?? 0]));
+    const groupShares = Object.values(profile.groupMix);
+    if (groupShares.some(share => !(share >= 0 && share <= 1))) fail('groupMix shares must be between 0 and 1');
+    if (groupShares.reduce((sum, share) => sum + share, 0) > 1) fail('groupMix shares add up to more than 1');
+
+    const boardingGroups = spec.boardingGroups ?? DEFAULT_POPULATION.boardingGroups;
+    const priorityGroups = Object.values(BoardingGroup).filter(group => group !== BoardingGroup.GENERAL);
+    const unknownBoardingGroup = Object.keys(boardingGroups).find(group => !priorityGroups.includes(group));
+    if (unknownBoardingGroup) fail(`boardingGroups has unknown group "${unknownBoardingGroup}"`);
+
+    profile.boardingGroups = Object.fromEntries(priorityGroups.map(group => [group, boardingGroups[group] ?? 0]));
+    const boardingShares = Object.values(profile.boardingGroups);
+    if (boardingShares.some(share => !(share >= 0 && share <= 1))) fail('boardingGroups shares must be between 0 and 1');
+    if (boardingShares.reduce((sum, share) => sum + share, 0) > 1) fail('boardingGroups shares add up to more than 1');
+
+    const timing = spec.timing ?? {};
+    const stowTime = { ...DEFAULT_TIMING.stowTime, ...timing.stowTime };
+    const shuffleTime = timing.shuffleTime ?? DEFAULT_TIMING.shuffleTime;
+    for (const [size, distribution] of Object.entries(stowTime)) {
+        if (!(size in DEFAULT_TIMING.stowTime)) fail(`stowTime has unknown carry-on size "${size}"`);
+        const problem = validateDistribution(distribution);
+        if (problem) fail(`stowTime for ${size} bags: ${problem}`);
+    }
+    const shuffleProblem = validateDistribution(shuffleTime);
+    if (shuffleProblem) fail(`shuffleTime: ${shuffleProblem}`);
+
+    profile.timing = { stowTime, shuffleTime };
+
+    return profile;
+}
+
+/**
+ * Passengers to generate for a profile on a cabin
+ * @param {Object} profile - Parsed population profile
+ * @param {number} totalSeats
+ * @returns {number}
+ */
+export function passengerCountFor(profile, totalSeats) {
+    return Math.max(1, Math.round(profile.loadFactor * totalSeats));
+}
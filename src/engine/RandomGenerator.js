@@ -27,6 +27,25 @@ export class RandomGenerator {
         this.initialSeed = seed;
     }
 
+    /**
+     * Generator state as plain JSON (for checkpoints)
+     * @returns {{seed: number, initialSeed: number}}
+     */
+    serialize() {
+        return { seed: this.seed, initialSeed: this.initialSeed };
+    }
+
+    /**
+     * Rebuild a generator from serialize(), to carry on where it left off
+     * @param {{seed: number, initialSeed: number}} state
+     * @returns {RandomGenerator}
+     */
+    static deserialize({ seed, initialSeed }) {
+        const rng = new RandomGenerator(initialSeed);
+        rng.seed = seed;
+        return rng;
+    }
+
     /**
      * Generate the next pseudo-random number between 0 and 1
      * @returns {number}
@@ -49,6 +68,33 @@ export class RandomGenerator {
         return Math.floor(this.next() * (max - min + 1)) + min;
     }
 
+    /**
+     * Generate a standard normal number (Box-Muller, uses two draws)
+     * @returns {number}
+     */
+    nextGaussian() {
+        const u = 1 - this.next();  // (0, 1], keeps the log finite
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Generate a number from a triangular distribution
+     * @param {number} min
+     * @param {number} mode - Most likely value
+     * @param {number} max
+     * @returns {number}
+     */
+    nextTriangular(min, mode, max) {
+        if (max === min) return min;
+
+        const u = this.next();
+        const split = (mode - min) / (max - min);
+        return u < split
+            ? min + Math.sqrt(u * (max - min) * (mode - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+
     /**
      * Pick a random element from an array
      * @template T
@@ -59,6 +105,23 @@ export class RandomGenerator {
         return array[this.nextInt(0, array.length - 1)];
     }
 
+    /**
+     * Pick a value with probability proportional to its weight
+     * @template T
+     * @param {Array<[T, number]>} weighted - [value, weight] pairs
+     * @returns {T}
+     */
+    pickWeighted(weighted) {
+        const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+        let r = this.next() * total;
+        for (const [value, weight] of weighted) {
+            if (r < weight) return value;
+            r -= weight;
+        }
+        // Rounding left r at the very top: last value that can be picked
+        return weighted.filter(([, weight]) => weight > 0).pop()[0];
+    }
+
     /**
      * Shuffle an array in place (Fisher-Yates)
      * @template T
@@ -0,0 +1,141 @@
+/**
+ * Declarative seat-map format for real aircraft configurations.
+ *
+ * A seat map is plain JSON:
+ *
+ *   {
+ *     "id": "a320",
+ *     "name": "Airbus A320",
+ *     "columns": ["A", "B", "C", "D", "E", "F"],   // Full cabin width, left to right
+ *     "aislePositions": [3],                       // Column index each aisle sits before
+ *     "binCapacityPerRow": 6,                      // Optional default bin capacity (bags)
+ *     "midDoorRow": 11,                            // Optional aisle row of the mid-cabin door
+ *     "sections": [                                // Consecutive, starting at row 1
+ *       { "name": "Business", "rows": [1, 3], "seats": ["A", "C", "D", "F"], "pitch": 1.4, "binCapacity": 4 },
+ *       { "name": "Economy", "rows": [4, 26] }     // seats default to all columns, pitch to 1
+ *     ],
+ *     "exitRows": [10, 11],                        // Rows next to emergency exits (overwing exits by default)
+ *     "galleys": [{ "afterRow": 12 }],             // Galleys / lavatories between rows
+ *     "missingSeats": ["26A"],                     // Seats removed from a section's layout
+ *     "exits": [{ "id": "front", "row": 0 }]       // Optional evacuation exits (see Exits.js)
+ *   }
+ *
+ * Pitch is the row's length in aisle cells: walking past a 1.5-pitch
+ * premium row takes one and a half times as long.
+ */
+
+const SEAT_PATTERN = /^(\d+)([A-Z]+)$/;
+
+/**
+ * Parse and validate a seat map
+ * @param {Object} spec - Seat map in the JSON format above
+ * @returns {{
+ *   id: string,
+ *   name: string,
+ *   rows: number,
+ *   columns: string[],
+ *   aislePositions: number[],
+ *   midDoorRow: number|null,
+ *   rowLayouts: Array<{row: number, section: string, seats: string[], pitch: number, binCapacity: number, exit: boolean}>,
+ *   exitRows: number[],
+ *   galleys: number[],
+ *   exits: Object[]|null,
+ * }}
+ * @throws {Error} If the seat map is malformed
+ */
+export function parseSeatMap(spec) {
+    const name = spec.name ?? spec.id ?? 'seat map';
+    const fail = (message) => {
+        throw new Error(`Invalid seat map "${name}": ${message}`);
+    };
+
+    const { columns, aislePositions, sections } = spec;
+
+    if (!Array.isArray(columns) || columns.length === 0) fail('columns must be a non-empty array');
+    if (new Set(columns).size !== columns.length) fail('columns must be unique');
+
+    if (!Array.isArray(aislePositions) || aislePositions.length === 0) fail('aislePositions must be a non-empty array');
+    aislePositions.forEach((position, i) => {
+        if (!Number.isInteger(position) || position < 1 || position >= columns.length) {
+            fail(`aisle position ${position} is outside the cabin`);
+        }
+        if (i > 0 && position <= aislePositions[i - 1]) fail('aislePositions must be ascending');
+    });
+
+    if (!Array.isArray(sections) || sections.length === 0) fail('sections must be a non-empty array');
+
+    // Expand sections into one layout per row
+    const rowLayouts = [];
+    sections.forEach((section, index) => {
+        const label = section.name ?? `#${index + 1}`;
+        const [first, last] = section.rows ?? [];
+        if (first !== rowLayouts.length + 1 || !Number.isInteger(last) || last < first) {
+            fail(`section "${label}" must continue at row ${rowLayouts.length + 1}`);
+        }
+
+        const seats = section.seats ?? columns;
+        const unknown = seats.find(column => !columns.includes(column));
+        if (unknown) fail(`section "${label}" has unknown column ${unknown}`);
+
+        const pitch = section.pitch ?? 1;
+        if (!(pitch > 0)) fail(`section "${label}" has invalid pitch ${pitch}`);
+
+        const binCapacity = section.binCapacity ?? spec.binCapacityPerRow ?? seats.length;
+        if (!(binCapacity >= 0)) fail(`section "${label}" has invalid bin capacity ${binCapacity}`);
+
+        for (let row = first; row <= last; row++) {
+            rowLayouts.push({
+                row,
+                section: section.name ?? null,
+                // Keep cabin order whatever order the section lists them in
+                seats: columns.filter(column => seats.includes(column)),
+                pitch,
+                binCapacity,
+                exit: false,
+            });
+        }
+    });
+
+    const rows = rowLayouts.length;
+    const checkRow = (row, what) => {
+        if (!Number.isInteger(row) || row < 1 || row > rows) fail(`${what} row ${row} is outside the cabin`);
+    };
+
+    for (const seat of spec.missingSeats ?? []) {
+        const match = SEAT_PATTERN.exec(seat);
+        if (!match) fail(`missing seat "${seat}" is not like "12C"`);
+
+        const row = Number(match[1]);
+        checkRow(row, 'missing seat');
+        const layout = rowLayouts[row - 1];
+        if (!layout.seats.includes(match[2])) fail(`missing seat ${seat} is not in the layout`);
+        layout.seats = layout.seats.filter(column => column !== match[2]);
+    }
+
+    const exitRows = spec.exitRows ?? [];
+    for (const row of exitRows) {
+        checkRow(row, 'exit');
+        rowLayouts[row - 1].exit = true;
+    }
+
+    const galleys = (spec.galleys ?? []).map(galley => galley.afterRow);
+    for (const afterRow of galleys) {
+        if (!Number.isInteger(afterRow) || afterRow < 0 || afterRow > rows) fail(`galley after row ${afterRow} is outside the cabin`);
+    }
+
+    const midDoorRow = spec.midDoorRow ?? null;
+    if (midDoorRow !== null) checkRow(midDoorRow, 'mid door');
+
+    return {
+        id: spec.id ?? null,
+        name,
+        rows,
+        columns: [...columns],
+        aislePositions: [...aislePositions],
+        midDoorRow,
+        rowLayouts,
+        exitRows: [...exitRows],
+        galleys,
+        exits: spec.exits ?? null,
+    };
+}
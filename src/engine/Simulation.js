@@ -4,33 +4,181 @@
  */
 
 import { Aircraft } from './Aircraft.js';
-import { CarryOnSize } from './Passenger.js';
+import { BoardingGroup, CarryOnSize, ComplianceLevel } from './Passenger.js';
+import { RandomGenerator } from './RandomGenerator.js';
+import { parseObstacles, obstacleRowsAt } from './Obstacles.js';
+import { CheckpointWriter, CheckpointReader } from './Checkpoint.js';
 
 /**
  * Passenger state during simulation
  */
 export const PassengerState = {
+    ABSENT: 'absent',        // Not at the gate yet (late arrival)
+    NO_SHOW: 'no_show',      // Never turns up; the seat stays empty
     WAITING: 'waiting',      // In queue, not yet in aircraft
+    SCANNING: 'scanning',    // Boarding pass being scanned at the gate
+    BRIDGE: 'bridge',        // Walking down the jet bridge
     WALKING: 'walking',      // Walking down aisle
     STOWING: 'stowing',      // Stowing luggage in overhead bin
     SHUFFLING: 'shuffling',  // Waiting for seated passengers to move
     SEATING: 'seating',      // Moving into seat
     SEATED: 'seated',        // Seated and done
+    YIELDING: 'yielding',    // Stepped into the aisle to let a row-mate in
+    RETRIEVING: 'retrieving',  // Taking luggage out of overhead bin (deplaning)
+    EXITED: 'exited',        // Left the aircraft (deplaning)
 };
 
 /**
  * Event types recorded during simulation
  */
 export const EventType = {
+    ARRIVE: 'arrive',            // Passenger reaches the gate, or the stairs off a bus (door, late, bus)
+    SCAN_START: 'scan_start',    // Called passenger steps up to a gate agent (door)
+    SCAN: 'scan',                // Boarding pass scanned at the gate (door, zone)
+    CHOOSE_SEAT: 'choose_seat',  // Picks a free seat at the door (open seating)
     ENTER: 'enter',              // Passenger enters aircraft
     MOVE: 'move',                // Passenger moves in aisle
     STOW_START: 'stow_start',    // Starts stowing luggage
     STOW_END: 'stow_end',        // Finishes stowing luggage
     SHUFFLE_START: 'shuffle_start',  // Waiting for seat access
     SHUFFLE_END: 'shuffle_end',  // Gets seat access
+    SIT_DOWN: 'sit_down',        // Starts sitting down (no row-mates in the way)
     SEAT: 'seat',                // Sits in seat
-    AISLE_BLOCKED: 'aisle_blocked',  // Blocked by passenger ahead
+    RESEAT: 'reseat',            // Sits back down after letting a row-mate in
+    AISLE_BLOCKED: 'aisle_blocked',  // Blocked by passenger ahead (blockerId)
+    OBSTACLE_BLOCKED: 'obstacle_blocked',  // Blocked by crew or a cart (obstacleId)
     BIN_FULL: 'bin_full',        // Overflow bin at target row
+    BIN_SEARCH: 'bin_search',    // Heads to another row for bin space (binRow)
+    GATE_CHECK: 'gate_check',    // Bag handed to crew for the hold
+    GATE_CHECK_END: 'gate_check_end',  // Crew has the bag; carries on without it
+    BAG_TAG: 'bag_tag',          // Carry-on tagged for the hold at the gate (door, carryOnSize, keeps)
+    SQUEEZE_PAST: 'squeeze_past',  // Swaps places with a passenger walking the other way
+    STAND: 'stand',              // Leaves seat and steps into aisle (forId when yielding)
+    RETRIEVE_START: 'retrieve_start',  // Starts taking luggage from bin
+    RETRIEVE_END: 'retrieve_end',  // Finishes taking luggage from bin
+    EXIT: 'exit',                // Leaves aircraft through the door
+    WAIT: 'wait',                // Wait time grows at a new rate from this step on (waitTime, rate per step)
+};
+
+/**
+ * Event fields naming other passengers an event moves or changes
+ * (besides its own passengerId)
+ */
+export const AFFECTED_PASSENGER_FIELDS = ['passedId', 'stowedFor'];
+
+/**
+ * Event types recorded so every snapshot can be rebuilt from the event log
+ * (see SnapshotStore), rather than as delays or milestones of their own
+ */
+export const PLAYBACK_EVENT_TYPES = new Set([
+    EventType.WAIT,
+    EventType.SCAN_START,
+    EventType.SIT_DOWN,
+    EventType.GATE_CHECK_END,
+]);
+
+/**
+ * What passengers do when the bin above their row is full
+ */
+export const BinOverflowPolicy = {
+    SEARCH: 'search',          // Look for space in nearby rows, gate-check if none close
+    GATE_CHECK: 'gate-check',  // Hand the bag to the crew straight away
+};
+
+/**
+ * Which carry-ons the gate agents send to the hold before boarding.
+ * A checked bag leaves nothing for the bins, except under ONE_BAG where a
+ * large carry-on counts as two bags and the passenger keeps a small one.
+ */
+export const GateBagPolicy = {
+    NONE: 'none',                // Everything comes on board
+    LARGE_AFTER: 'large-after',  // Large bags once gateBagLimit bags are stowed
+    LAST_ZONE: 'last-zone',      // Every bag of the last zone called
+    ONE_BAG: 'one-bag',          // Strictly one bag per passenger
+};
+
+// Back of the queue treated as the last zone when zones are not called
+const UNZONED_LAST_ZONE_SHARE = 0.25;
+
+/**
+ * How passengers score free seats under open seating. Each term is added
+ * to a seat's score; the highest score wins.
+ */
+export const DEFAULT_SEAT_CHOICE = {
+    front: 2,        // Seat next to the boarding door (falls off to 0 at the far end)
+    window: 1,
+    aisle: 1,
+    middle: -1.5,    // Avoid middle seats
+    group: 3,        // Next to a travel companion who already picked
+    climbOver: -1,   // Per seated passenger between the aisle and the seat
+    noise: 1,        // Spread of personal taste (standard deviations)
+};
+
+/**
+ * When passengers reach the gate
+ */
+export const ArrivalProcess = {
+    ON_TIME: 'on-time',      // Everyone is at the gate when boarding starts
+    POISSON: 'poisson',      // Arrivals at a constant rate, starting before boarding
+    EMPIRICAL: 'empirical',  // Sampled from a cumulative arrival curve
+};
+
+/**
+ * Typical share of passengers at the gate by step (relative to boarding start)
+ */
+export const DEFAULT_ARRIVAL_CURVE = [
+    [-600, 0],
+    [-300, 0.45],
+    [0, 0.85],
+    [120, 0.95],
+    [300, 1],
+];
+
+/**
+ * Default simulation options
+ */
+export const DEFAULT_OPTIONS = {
+    binOverflowPolicy: BinOverflowPolicy.SEARCH,
+    maxBinSearchRows: 5,  // Furthest a passenger walks from their row to find bin space
+    gateCheckTime: 6,     // Steps to hand a bag over to the crew
+    keepGroupsTogether: false,  // Travel groups queue behind their first member
+    shareGroupStowing: true,    // One group member stows the bags of companions right behind
+    queueDeviation: false,        // Let passengers' compliance reshuffle the planned queue
+    opportunisticAdvance: 0.25,   // Opportunists jump up to this share of the queue
+    normalDrift: 3,               // Normal passengers end up to this many places off
+    blockerStandTime: 2,   // Steps for a seated passenger to get up and step into the aisle
+    blockerSitTime: 2,     // Steps for them to sit back down afterwards
+    maxShuffleWait: 4,     // Steps to wait for aisle room before squeezing past (then each blocker's shuffleTime)
+    binFillSlowdown: 0,    // Extra stow time at a full bin, as a share of the passenger's own (1 = twice as long)
+    aisleHeadway: 0,       // Empty rows passengers keep to the next person in the aisle (e.g. 1 for distancing)
+    bagFootprint: 1,       // Rows of aisle a passenger carrying a bag takes up (e.g. 1.5)
+    obstacles: [],         // Scripted crew and carts in the aisle (see Obstacles.js)
+    gateBagPolicy: GateBagPolicy.NONE,
+    gateBagLimit: 60,      // GateBagPolicy.LARGE_AFTER: bags stowed before large ones are checked
+    gateTagTime: 8,        // Steps to tag a bag for the hold at the gate
+    gateModel: false,       // Passengers pass a gate and jet bridge instead of appearing at the door
+    gateAgents: 1,          // Agents scanning boarding passes, per door
+    scanTime: 4,            // Steps per boarding pass
+    jetBridgeLength: 12,    // Steps to walk the jet bridge at normal speed
+    jetBridgeCapacity: 20,  // Passengers the jet bridge holds
+    zoneCalls: 0,           // Zones called one after another (0 = everyone at once)
+    zonePause: 30,          // Steps between a zone finishing at the gate and the next call
+    arrivalProcess: ArrivalProcess.ON_TIME,
+    arrivalRate: 0.5,       // Poisson arrivals per step
+    arrivalLead: 240,       // Steps before boarding starts that Poisson arrivals begin
+    arrivalCurve: DEFAULT_ARRIVAL_CURVE,  // [step, share at the gate] points, ascending
+    stragglerRate: 0,       // Share of passengers turning up after their zone was called
+    stragglerDelay: [30, 180],  // Steps after the zone call a straggler arrives (min, max)
+    noShowRate: 0,          // Share of passengers who never turn up
+    remoteStand: false,     // Buses to stairs at the aircraft instead of a gate queue (no jet bridge)
+    busCapacity: 50,        // Passengers per bus
+    busInterval: 150,       // Steps between buses reaching the stand
+    sortedBuses: false,     // Fill buses in boarding order (otherwise as passengers turn up)
+    stairClimbTime: 5,      // Steps from the bus to the top of the stairs at normal speed
+    openSeating: false,     // No assigned seats: passengers pick one at the door
+    // Boarding groups called ahead of the boarding order, first to last
+    preBoarding: [BoardingGroup.ASSISTANCE, BoardingGroup.PREMIUM, BoardingGroup.ELITE],
+    seatChoice: DEFAULT_SEAT_CHOICE,
 };
 
 /**
@@ -41,10 +189,22 @@ export class Simulation {
      * @param {Object} config
      * @param {import('./Passenger').Passenger[]} config.passengers
      * @param {Aircraft} config.aircraft
+     * @param {Object} [config.options] - Overrides for DEFAULT_OPTIONS
+     * @param {RandomGenerator} [config.rng] - Drives passenger behaviour (queue deviation)
      */
-    constructor({ passengers, aircraft }) {
+    constructor({ passengers, aircraft, options = {}, rng = new RandomGenerator() }) {
         this.aircraft = aircraft;
         this.originalPassengers = passengers;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.rng = rng;
+
+        // A remote stand has no gate or jet bridge: buses take the place of both
+        if (this.options.remoteStand) this.options.gateModel = false;
+
+        this.obstacles = parseObstacles(this.options.obstacles, {
+            rows: aircraft.rows,
+            aisleCount: aircraft.aisleCount,
+        });
 
         // Reset and initialize
         this.reset();
@@ -58,31 +218,487 @@ export class Simulation {
         this.currentStep = 0;
         this.isComplete = false;
         this.events = [];
+        this.queueDeviation = 0;  // Mean places between planned and actual queue position
+
+        // Gate: agents and jet bridge per door, zones called so far
+        this.gates = new Map();
+        for (const door of this.aircraft.doors) {
+            this.gates.set(door.id, {
+                agents: Array.from({ length: this.options.gateAgents }, () => ({ ps: null, remaining: 0 })),
+                bridge: [],
+            });
+        }
+        this.zonesCalled = 1;
+        this.zoneUnscanned = [];   // Passengers per zone at the gate, still to be scanned
+        this.zoneCallSteps = [0];  // Step each zone was called
+        this.nextZoneCallAt = null;
+
+        // Late arrivals: passengers on their way, by arrival step
+        this.arrivals = new Map();  // Step -> passengers arriving then, in the order they set off
+        this.arrivalSteps = [];     // Steps in arrivals, ascending
+        this.stragglers = [];       // Stragglers waiting on their zone call, in passenger order
+        this.stragglerZones = 0;    // Zones whose stragglers have set off
+        this.absentCount = 0;
+        this.noShowCount = 0;
+        this.busCount = 0;  // Remote stand: buses scheduled (stragglers ride extra ones)
+
+        // Steps lost waiting on late passengers vs. to passengers held up in the cabin
+        this.lateArrivalTime = 0;
+        this.congestionTime = 0;
+
+        // Door-steps with passengers still to enter: waiting on the gate vs. on the aisle
+        this.doorStats = { active: 0, gateLimited: 0, aisleLimited: 0 };
+
+        // Open seating: seats picked so far
+        this.seatClaims = new Map();  // "row-column" -> passenger state
+
+        // Gate bag policy: bags in the bins so far, bags sent to the hold at the gate
+        this.bagsStowed = 0;
+        this.gateCheckedBags = 0;
+        this.plannedQueueLength = 0;
+
+        // Pre-boarding: passengers called ahead of the boarding order
+        this.preBoardCount = 0;
+        this.generalBoardingStart = null;  // Step the first other passenger entered the aircraft
 
         // Create mutable passenger states
         this.passengerStates = new Map();
-        this.queue = [];
+
+        // Indexed state, kept up to date as passengers move rather than
+        // rebuilt from every passenger each step
+        // Passengers in the aisle, bucketed by progress along their walking direction
+        // (direction * aisleRow, offset by rows + 1), each bucket in passenger order
+        this.aisleOrder = Array.from({ length: 2 * this.aircraft.rows + 3 }, () => []);
+        this.settledCount = 0;  // Passengers seated or not coming
+
+        // Wait time growth per passenger: this step's so far, and the rate last recorded
+        // (see EventType.WAIT)
+        this.waitGrowth = new Map();  // Passenger state -> steps waited this step
+        this.waitRates = new Map();   // Passenger state -> steps waited per step, while not 0
+
+        // One queue per boarding door
+        this.queues = new Map();
+        for (const door of this.aircraft.doors) {
+            this.queues.set(door.id, []);
+        }
 
         for (const passenger of this.originalPassengers) {
+            const door = this._resolveDoor(passenger);
             this.passengerStates.set(passenger.id, {
                 passenger,
+                index: this.passengerStates.size,  // Place in the passenger list (breaks ties in aisle order)
                 state: PassengerState.WAITING,
+                door,
+                aisle: this.aircraft.getSeatInfo(passenger.column, passenger.row).aisle,  // Aisle used to reach the seat
+                direction: Math.sign(passenger.row - door.aisleRow),  // +1 towards rear, -1 towards front
                 aisleRow: -1,      // -1 = not in aisle yet
+                aisleOrderKey: null,  // Bucket in aisleOrder (null: not in the aisle)
+                moveCredit: 0,     // Accumulated walking progress (cells)
                 stowRemaining: 0,  // Steps remaining to finish stowing
-                shuffleRemaining: 0,  // Steps remaining for shuffle
+                binRow: null,      // Row whose bin the bag goes into, once chosen
+                bagStowed: passenger.carryOnSize === CarryOnSize.NONE,  // Bag dealt with
+                bagGateChecked: false,
+                shuffle: null,        // Row-mates being cleared out of the way
+                reseatRemaining: null,  // Steps until sitting back down (when yielding)
                 waitTime: 0,       // Total time waiting (blocked)
+                zone: 0,           // Zone called at the gate
+                queueIndex: -1,    // Place in the queue as planned
+                arrivesAt: 0,      // Step reaching the gate (null: straggler waiting on the zone call)
+                stragglerDelay: 0,  // Steps after the zone call a straggler arrives
+                bus: null,         // Remote stand: bus taken to the aircraft
+                bridgeRemaining: 0,  // Steps left on the jet bridge
+                preBoarding: false,  // Boards ahead of the boarding order
+                gateTagRemaining: null,  // Steps left tagging a bag at the door (null: bag not looked at yet)
+                seatRemaining: passenger.seatTime,  // Steps left to sit down once at the seat
+                seatChosen: !this.options.openSeating,  // Open seating: seat not picked yet
                 enteredAt: -1,     // Step when entered aircraft
                 seatedAt: -1,      // Step when seated
             });
         }
+
+        this._indexGroups();
+        this._updateObstacles();
+    }
+
+    /**
+     * Index passenger states by travel group, in passenger order
+     */
+    _indexGroups() {
+        this.groupMembers = new Map();  // groupId -> passenger states
+        for (const ps of this.passengerStates.values()) {
+            const { groupId } = ps.passenger;
+            if (groupId === null) continue;
+            if (!this.groupMembers.has(groupId)) this.groupMembers.set(groupId, []);
+            this.groupMembers.get(groupId).push(ps);
+        }
+    }
+
+    /**
+     * Put crew and carts where their scripts have them this step
+     */
+    _updateObstacles() {
+        if (this.obstacles.length === 0) return;
+
+        this.aircraft.clearObstacles();
+        for (const obstacle of this.obstacles) {
+            for (const row of obstacleRowsAt(obstacle, this.currentStep)) {
+                this.aircraft.placeObstacle(obstacle.id, row, obstacle.aisle);
+            }
+        }
+    }
+
+    /**
+     * Door a passenger uses: their assigned door if this aircraft has it,
+     * otherwise the nearest one
+     * @param {import('./Passenger').Passenger} passenger
+     * @returns {{id: string, aisleRow: number}}
+     */
+    _resolveDoor(passenger) {
+        return this.aircraft.getDoor(passenger.door) ?? this.aircraft.getNearestDoor(passenger.row);
     }
 
     /**
-     * Set boarding order based on algorithm priority
-     * @param {number[]} orderedIds - Passenger IDs in boarding order
+     * Passengers who pre-board, in the order they are called: by the first
+     * of their party's boarding groups in the preBoarding option, travel
+     * companions boarding along with them
+     * @returns {number[]} Passenger IDs
+     */
+    getPreBoardingOrder() {
+        const { preBoarding } = this.options;
+
+        const parties = new Map();
+        for (const { passenger } of this.passengerStates.values()) {
+            const key = passenger.groupId ?? `solo-${passenger.id}`;
+            if (!parties.has(key)) parties.set(key, { rank: Infinity, ids: [] });
+
+            const party = parties.get(key);
+            const rank = preBoarding.indexOf(passenger.boardingGroup);
+            if (rank !== -1) party.rank = Math.min(party.rank, rank);
+            party.ids.push(passenger.id);
+        }
+
+        return [...parties.values()]
+            .filter(party => party.rank !== Infinity)
+            .sort((a, b) => a.rank - b.rank)
+            .flatMap(party => party.ids);
+    }
+
+    /**
+     * Set boarding order based on algorithm priority, after any pre-boarding.
+     * Each door queue keeps the relative order of its passengers.
+     * @param {number[]} orderedIds - Passenger IDs in boarding order; pre-boarders may be left out
      */
     setBoardingOrder(orderedIds) {
-        this.queue = orderedIds.map(id => this.passengerStates.get(id));
+        for (const queue of this.queues.values()) {
+            queue.length = 0;
+        }
+
+        const preBoardIds = this.getPreBoardingOrder();
+        const preBoarders = new Set(preBoardIds);
+        const generalIds = orderedIds.filter(id => !preBoarders.has(id));
+        this.preBoardCount = preBoardIds.length;
+
+        // Pre-boarders are called by name, so only the rest reshuffle
+        let ids = generalIds;
+        if (this.options.queueDeviation) ids = this._applyComplianceDeviation(ids);
+        if (this.options.keepGroupsTogether) ids = this._keepGroupsTogether(ids);
+
+        this.queueDeviation = this._measureDeviation(generalIds, ids);
+
+        // Zones are consecutive blocks of the queue as it actually forms,
+        // with pre-boarding called as a zone of its own
+        const zoneCount = this.options.gateModel ? Math.max(1, this.options.zoneCalls) : 1;
+        const preBoardZone = this.options.gateModel && preBoardIds.length > 0 ? 1 : 0;
+        this.zoneUnscanned = new Array(preBoardZone + zoneCount).fill(0);
+
+        const states = [...preBoardIds, ...ids].map(id => this.passengerStates.get(id));
+        states.forEach((ps, index) => {
+            ps.preBoarding = index < preBoardIds.length;
+            ps.zone = ps.preBoarding ? 0 : preBoardZone + Math.floor((index - preBoardIds.length) * zoneCount / ids.length);
+            ps.queueIndex = index;
+        });
+        this.plannedQueueLength = states.length;
+
+        if (this._hasArrivalModel()) this._sampleArrivals(states);
+
+        for (const ps of states) {
+            if (ps.state === PassengerState.WAITING) {
+                this.zoneUnscanned[ps.zone]++;
+                this.queues.get(ps.door.id).push(ps);
+            }
+        }
+    }
+
+    /**
+     * Whether anyone can be late or missing
+     */
+    _hasArrivalModel() {
+        const { arrivalProcess, stragglerRate, noShowRate, remoteStand } = this.options;
+        return arrivalProcess !== ArrivalProcess.ON_TIME || stragglerRate > 0 || noShowRate > 0 || remoteStand;
+    }
+
+    /**
+     * Decide when each passenger reaches the gate (or on a remote stand, the
+     * top of the stairs). Travel groups arrive together.
+     * Passengers not there at step 0 become ABSENT; no-shows never arrive.
+     * @param {Object[]} states - Passenger states in queue order
+     */
+    _sampleArrivals(states) {
+        const { arrivalProcess, stragglerRate, stragglerDelay, noShowRate } = this.options;
+
+        // One draw per travel group (or solo passenger)
+        const parties = new Map();
+        for (const ps of states) {
+            const key = ps.passenger.groupId ?? `solo-${ps.passenger.id}`;
+            if (!parties.has(key)) parties.set(key, []);
+            parties.get(key).push(ps);
+        }
+
+        const onTheirWay = [];
+        for (const party of parties.values()) {
+            if (this.rng.next() < noShowRate) {
+                for (const ps of party) {
+                    ps.state = PassengerState.NO_SHOW;
+                    this.noShowCount++;
+                    this.settledCount++;
+                }
+            } else if (this.rng.next() < stragglerRate) {
+                const delay = this.rng.nextInt(stragglerDelay[0], stragglerDelay[1]);
+                for (const ps of party) {
+                    ps.arrivesAt = null;
+                    ps.stragglerDelay = delay;
+                }
+            } else {
+                onTheirWay.push(party);
+            }
+        }
+
+        if (this.options.remoteStand) {
+            this._loadBuses(onTheirWay);
+        } else if (arrivalProcess === ArrivalProcess.POISSON) {
+            // Exponential gaps between parties, in random order
+            const { arrivalRate, arrivalLead } = this.options;
+            let time = -arrivalLead;
+            for (const party of this.rng.shuffle(onTheirWay)) {
+                time += -Math.log(1 - this.rng.next()) / arrivalRate;
+                for (const ps of party) ps.arrivesAt = Math.max(0, Math.ceil(time));
+            }
+        } else if (arrivalProcess === ArrivalProcess.EMPIRICAL) {
+            for (const party of onTheirWay) {
+                const time = this._sampleArrivalCurve(this.rng.next());
+                for (const ps of party) ps.arrivesAt = Math.max(0, Math.ceil(time));
+            }
+        }
+
+        for (const ps of states) {
+            if (ps.state === PassengerState.NO_SHOW || ps.arrivesAt === 0) continue;
+            ps.state = PassengerState.ABSENT;
+            this.absentCount++;
+            if (ps.arrivesAt !== null) this._scheduleArrival(ps);
+        }
+        this.stragglers = states
+            .filter(ps => ps.state === PassengerState.ABSENT && ps.arrivesAt === null)
+            .sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Put a passenger on their way to the gate, behind others arriving the same step
+     */
+    _scheduleArrival(ps) {
+        const step = ps.arrivesAt;
+        if (!this.arrivals.has(step)) {
+            this.arrivals.set(step, []);
+            const index = this.arrivalSteps.findIndex(other => other > step);
+            this.arrivalSteps.splice(index === -1 ? this.arrivalSteps.length : index, 0, step);
+        }
+        this.arrivals.get(step).push(ps);
+    }
+
+    /**
+     * Remote stand: fill buses party by party, in queue order if the airline
+     * sorts them and in random order otherwise. Pre-boarders ride first.
+     * @param {Object[][]} parties - Passenger states per travel party, in queue order
+     */
+    _loadBuses(parties) {
+        const { busCapacity, sortedBuses } = this.options;
+        const preBoarding = parties.filter(party => party[0].preBoarding);
+        const general = parties.filter(party => !party[0].preBoarding);
+
+        let bus = 0;
+        let load = 0;
+        for (const party of [...preBoarding, ...(sortedBuses ? general : this.rng.shuffle(general))]) {
+            if (load > 0 && load + party.length > busCapacity) {
+                bus++;
+                load = 0;
+            }
+            load += party.length;
+            for (const ps of party) this._boardBus(ps, bus);
+        }
+        this.busCount = load > 0 ? bus + 1 : bus;
+    }
+
+    /**
+     * Put a passenger on a bus; they reach their door once the bus is at the
+     * stand and they have climbed the stairs
+     */
+    _boardBus(ps, bus) {
+        const { busInterval, stairClimbTime } = this.options;
+        ps.bus = bus;
+        ps.arrivesAt = bus * busInterval + Math.ceil(stairClimbTime / ps.passenger.speedMultiplier);
+    }
+
+    /**
+     * Invert the cumulative arrival curve (linear between points)
+     * @param {number} share - Uniform sample in [0, 1)
+     * @returns {number} Arrival step relative to boarding start
+     */
+    _sampleArrivalCurve(share) {
+        const curve = this.options.arrivalCurve;
+        for (let i = 1; i < curve.length; i++) {
+            const [step, reached] = curve[i];
+            if (share >= reached) continue;
+
+            const [prevStep, prevReached] = curve[i - 1];
+            if (share < prevReached) return prevStep;
+            return prevStep + (step - prevStep) * (share - prevReached) / (reached - prevReached);
+        }
+        return curve[curve.length - 1][0];
+    }
+
+    /**
+     * Let late passengers who have reached the gate join their door queue.
+     * Stragglers set off once their zone is called.
+     */
+    _processArrivals() {
+        if (this.absentCount === 0) return;
+
+        if (this.stragglerZones < this.zonesCalled) {
+            this.stragglerZones = this.zonesCalled;
+            const waiting = [];
+            for (const ps of this.stragglers) {
+                if (ps.zone >= this.zonesCalled) {
+                    waiting.push(ps);
+                    continue;
+                }
+                ps.arrivesAt = this.zoneCallSteps[ps.zone] + ps.stragglerDelay;
+                // Remote stand: stragglers have missed the scheduled buses and take
+                // the first extra one after they turn up
+                if (this.options.remoteStand) {
+                    this._boardBus(ps, Math.max(this.busCount, Math.ceil(ps.arrivesAt / this.options.busInterval)));
+                }
+                this._scheduleArrival(ps);
+            }
+            this.stragglers = waiting;
+        }
+
+        while (this.arrivalSteps.length > 0 && this.arrivalSteps[0] <= this.currentStep) {
+            const step = this.arrivalSteps.shift();
+            for (const ps of this.arrivals.get(step)) this._arrive(ps);
+            this.arrivals.delete(step);
+        }
+    }
+
+    /**
+     * A late passenger reaches the gate. Passengers whose zone has been
+     * called go to the back of the called part of the queue; the rest take
+     * their planned place.
+     */
+    _arrive(ps) {
+        const queue = this.queues.get(ps.door.id);
+        const zoneCalled = ps.zone < this.zonesCalled;
+        const index = queue.findIndex(other => other.zone >= this.zonesCalled &&
+            (zoneCalled || other.queueIndex > ps.queueIndex));
+
+        queue.splice(index === -1 ? queue.length : index, 0, ps);
+        ps.state = PassengerState.WAITING;
+        this.absentCount--;
+        this.zoneUnscanned[ps.zone]++;
+        if (ps.bus === null) {
+            this._recordEvent(EventType.ARRIVE, ps.passenger, { door: ps.door.id, late: zoneCalled });
+        } else {
+            this._recordEvent(EventType.ARRIVE, ps.passenger, { door: ps.door.id, late: ps.bus >= this.busCount, bus: ps.bus });
+        }
+    }
+
+    /**
+     * Reshuffle the planned queue the way real passengers do: opportunists
+     * push ahead of their zone, normal passengers drift a few places and
+     * strict passengers stay where they were told.
+     * @param {number[]} orderedIds
+     * @returns {number[]}
+     */
+    _applyComplianceDeviation(orderedIds) {
+        const { opportunisticAdvance, normalDrift } = this.options;
+        const maxAdvance = opportunisticAdvance * orderedIds.length;
+
+        const keyed = orderedIds.map((id, index) => {
+            const { compliance } = this.passengerStates.get(id).passenger;
+            let offset = 0;
+            if (compliance === ComplianceLevel.OPPORTUNISTIC) {
+                offset = -this.rng.next() * maxAdvance;
+            } else if (compliance === ComplianceLevel.NORMAL) {
+                offset = this.rng.nextInt(-normalDrift, normalDrift);
+            }
+            return { id, index, key: index + offset };
+        });
+
+        keyed.sort((a, b) => (a.key - b.key) || (a.index - b.index));
+        return keyed.map(k => k.id);
+    }
+
+    /**
+     * Mean absolute difference between planned and actual queue positions
+     * @param {number[]} plannedIds
+     * @param {number[]} actualIds
+     * @returns {number}
+     */
+    _measureDeviation(plannedIds, actualIds) {
+        if (plannedIds.length === 0) return 0;
+
+        const plannedIndex = new Map(plannedIds.map((id, index) => [id, index]));
+        let total = 0;
+        actualIds.forEach((id, index) => {
+            total += Math.abs(index - plannedIndex.get(id));
+        });
+        return total / plannedIds.length;
+    }
+
+    /**
+     * Move travel group members up to the position of their first member
+     * @param {number[]} orderedIds
+     * @returns {number[]}
+     */
+    _keepGroupsTogether(orderedIds) {
+        const members = new Map();
+        for (const id of orderedIds) {
+            const { groupId } = this.passengerStates.get(id).passenger;
+            if (groupId === null) continue;
+            if (!members.has(groupId)) members.set(groupId, []);
+            members.get(groupId).push(id);
+        }
+
+        const result = [];
+        for (const id of orderedIds) {
+            const { groupId } = this.passengerStates.get(id).passenger;
+            if (groupId === null) {
+                result.push(id);
+            } else if (members.has(groupId)) {
+                result.push(...members.get(groupId));
+                members.delete(groupId);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Total number of passengers waiting at all doors
+     */
+    get queueLength() {
+        let length = 0;
+        for (const queue of this.queues.values()) {
+            length += queue.length;
+        }
+        return length;
     }
 
     /**
@@ -93,16 +709,33 @@ export class Simulation {
         if (this.isComplete) return false;
 
         this.currentStep++;
+        this._updateObstacles();
 
-        // Process passengers from back to front (so front passengers move into space)
+        // Process passengers furthest along their walk first (so followers move into space)
         const aislePassengers = this._getAislePassengersSorted();
 
+        let heldUp = false;
         for (const ps of aislePassengers) {
+            const waited = ps.waitTime;
             this._processPassengerInAisle(ps);
+            if (ps.waitTime > waited) heldUp = true;
         }
+        if (heldUp) this.congestionTime++;
+
+        // Late passengers reaching the gate join the queue
+        this._processArrivals();
+
+        // Try to add next passenger from queue (through the gate if modelled)
+        if (this.options.gateModel) {
+            this._processGates();
+        } else {
+            this._tryAddFromQueue();
+        }
+
+        // Nobody left at the gate to board while passengers are still on their way
+        if (this.absentCount > 0 && this._isGateEmpty()) this.lateArrivalTime++;
 
-        // Try to add next passenger from queue
-        this._tryAddFromQueue();
+        this._recordWaits();
 
         // Check completion
         this._checkCompletion();
@@ -123,19 +756,39 @@ export class Simulation {
     }
 
     /**
-     * Get passengers in aisle sorted by row (back to front)
+     * Get passengers in aisle sorted by progress along their walking direction
+     * (back to front for front-door boarding)
      */
     _getAislePassengersSorted() {
+        // By progress descending (process leading passengers first), then in passenger order
         const inAisle = [];
-        for (const ps of this.passengerStates.values()) {
-            if (ps.state !== PassengerState.WAITING &&
-                ps.state !== PassengerState.SEATED &&
-                ps.aisleRow >= 0) {
-                inAisle.push(ps);
-            }
+        for (let key = this.aisleOrder.length - 1; key >= 0; key--) {
+            inAisle.push(...this.aisleOrder[key]);
         }
-        // Sort by row descending (process back passengers first)
-        return inAisle.sort((a, b) => b.aisleRow - a.aisleRow);
+        return inAisle;
+    }
+
+    /**
+     * Refile a passenger in the aisle order after they enter, move along or
+     * leave the aisle
+     */
+    _updateAisleOrder(ps) {
+        const inAisle = ps.state !== PassengerState.WAITING &&
+            ps.state !== PassengerState.SEATED &&
+            ps.aisleRow >= 0;
+        const key = inAisle ? ps.direction * ps.aisleRow + this.aircraft.rows + 1 : null;
+        if (key === ps.aisleOrderKey) return;
+
+        if (ps.aisleOrderKey !== null) {
+            const bucket = this.aisleOrder[ps.aisleOrderKey];
+            bucket.splice(bucket.indexOf(ps), 1);
+        }
+        if (key !== null) {
+            const bucket = this.aisleOrder[key];
+            const index = bucket.findIndex(other => other.index > ps.index);
+            bucket.splice(index === -1 ? bucket.length : index, 0, ps);
+        }
+        ps.aisleOrderKey = key;
     }
 
     /**
@@ -160,6 +813,10 @@ export class Simulation {
             case PassengerState.SEATING:
                 this._processSeating(ps);
                 break;
+
+            case PassengerState.YIELDING:
+                this._processYielding(ps);
+                break;
         }
     }
 
@@ -167,43 +824,245 @@ export class Simulation {
      * Process walking passenger
      */
     _processWalking(ps) {
-        const { passenger, aisleRow } = ps;
-        const targetRow = passenger.row;
+        const { aisleRow } = ps;
 
-        // Check if we've reached our row
+        // Head for the chosen bin first, then the seat row
+        const targetRow = this._getWalkTarget(ps);
+
+        // Check if we've reached our target
         if (aisleRow === targetRow) {
-            // Check if we need to stow luggage
-            if (passenger.carryOnSize !== CarryOnSize.NONE) {
-                ps.state = PassengerState.STOWING;
-                ps.stowRemaining = passenger.stowTime;
-                this._recordEvent(EventType.STOW_START, passenger, { row: aisleRow });
-
-                // Check bin capacity
-                if (!this.aircraft.hasBinCapacity(aisleRow, passenger.carryOnSize)) {
-                    this._recordEvent(EventType.BIN_FULL, passenger, { row: aisleRow });
-                }
+            if (!ps.bagStowed) {
+                this._startStowing(ps);
             } else {
-                // No luggage, move to shuffling/seating
+                // Luggage dealt with, move to shuffling/seating
                 this._startSeating(ps);
             }
             return;
         }
 
-        // Try to move forward
-        const nextRow = aisleRow + 1;
-        if (nextRow <= this.aircraft.rows && !this.aircraft.isAisleOccupied(nextRow)) {
-            // Move forward
-            this.aircraft.removeFromAisle(aisleRow);
-            this.aircraft.placeInAisle(passenger, nextRow);
-            ps.aisleRow = nextRow;
-            this._recordEvent(EventType.MOVE, passenger, { from: aisleRow, to: nextRow });
+        // Try to move towards our target
+        this._walkTowards(ps, targetRow);
+    }
+
+    /**
+     * Steps to stow a bag, longer the fuller the bin already is
+     * @param {number} stowTime - The passenger's own stow time
+     * @param {number} fill - Share of the bin in use (0-1)
+     */
+    _stowDuration(stowTime, fill) {
+        return Math.round(stowTime * (1 + this.options.binFillSlowdown * fill));
+    }
+
+    /**
+     * Stow luggage in the bin at the current row, or deal with a full bin
+     * by searching nearby rows or gate-checking the bag
+     */
+    _startStowing(ps) {
+        const { passenger, aisleRow } = ps;
+        const fill = this.aircraft.getBinFill(aisleRow);
+
+        if (this.aircraft.useBinCapacity(aisleRow, passenger.carryOnSize)) {
+            ps.binRow = aisleRow;
+            ps.state = PassengerState.STOWING;
+            ps.stowRemaining = this._stowDuration(passenger.stowTime, fill);
+            this.bagsStowed++;
+
+            const companions = this.options.shareGroupStowing ? this._stowForCompanions(ps) : [];
+            this._recordEvent(EventType.STOW_START, passenger, {
+                row: aisleRow,
+                ...(companions.length > 0 && { stowedFor: companions }),
+            });
+            return;
+        }
+
+        this._recordEvent(EventType.BIN_FULL, passenger, { row: aisleRow });
+
+        const { binOverflowPolicy, maxBinSearchRows } = this.options;
+        const binRow = this.aircraft.findNearestBinCapacity(aisleRow, passenger.carryOnSize);
+        const searchable = binOverflowPolicy === BinOverflowPolicy.SEARCH &&
+            binRow !== null &&
+            Math.abs(binRow - passenger.row) <= maxBinSearchRows;
+
+        if (searchable) {
+            // Walk to the row with space (against the flow if it is behind us)
+            ps.binRow = binRow;
+            this._recordEvent(EventType.BIN_SEARCH, passenger, { row: aisleRow, binRow });
+            this._walkTowards(ps, binRow);
         } else {
-            // Blocked
-            ps.waitTime++;
-            this._recordEvent(EventType.AISLE_BLOCKED, passenger, { row: aisleRow, blockedBy: nextRow });
+            // Hand the bag to the crew
+            ps.binRow = null;
+            ps.bagGateChecked = true;
+            ps.state = PassengerState.STOWING;
+            ps.stowRemaining = this.options.gateCheckTime;
+            this._recordEvent(EventType.GATE_CHECK, passenger, { row: aisleRow });
+        }
+    }
+
+    /**
+     * Stow the bags of group members already in the aisle on their way to
+     * the same row. A second bag into an open bin takes half the time.
+     * @returns {number[]} IDs of the companions whose bags were stowed
+     */
+    _stowForCompanions(ps) {
+        const { passenger, aisleRow } = ps;
+        if (passenger.groupId === null) return [];
+
+        const companions = [];
+        for (const other of this.groupMembers.get(passenger.groupId)) {
+            const isCompanion = other !== ps &&
+                other.passenger.row === passenger.row &&
+                other.aisle === ps.aisle &&
+                other.state === PassengerState.WALKING &&
+                !other.bagStowed;
+
+            if (!isCompanion) continue;
+
+            const fill = this.aircraft.getBinFill(aisleRow);
+            if (!this.aircraft.useBinCapacity(aisleRow, other.passenger.carryOnSize)) continue;
+
+            other.bagStowed = true;
+            other.binRow = aisleRow;
+            this.aircraft.placeInAisle(other.passenger, other.aisleRow, other.aisle, this._aisleFootprint(other));
+            ps.stowRemaining += this._stowDuration(Math.ceil(other.passenger.stowTime / 2), fill);
+            companions.push(other.passenger.id);
+            this.bagsStowed++;
+        }
+        return companions;
+    }
+
+    /**
+     * Move a walking passenger along the aisle at their own pace.
+     * Walk speed accumulates as move credit each step; every full cell of
+     * credit buys one move, so slow walkers skip steps and fast walkers
+     * sometimes cover two cells. Rows with a longer pitch cost more credit.
+     * Being blocked costs the built-up credit. Two walkers heading into
+     * each other's cells squeeze past.
+     * @param {Object} ps - Passenger state
+     * @param {number} targetRow - Aisle row to stop at
+     */
+    _walkTowards(ps, targetRow) {
+        const { passenger } = ps;
+        let moved = false;
+
+        ps.moveCredit += passenger.speedMultiplier;
+
+        while (ps.aisleRow !== targetRow) {
+            const fromRow = ps.aisleRow;
+            const nextRow = fromRow + Math.sign(targetRow - fromRow);
+            const cost = this.aircraft.getRowPitch(nextRow);
+            if (ps.moveCredit < cost) break;
+
+            const obstacleId = this.aircraft.getObstacleAt(nextRow, ps.aisle);
+            if (obstacleId !== null) {
+                if (!moved) {
+                    this._wait(ps);
+                    this._recordEvent(EventType.OBSTACLE_BLOCKED, passenger, {
+                        row: fromRow,
+                        blockedBy: nextRow,
+                        obstacleId,
+                    });
+                }
+                ps.moveCredit = 0;
+                return;
+            }
+
+            const blocker = this.aircraft.getAisleBlocker(nextRow, ps.aisle, this._aisleFootprint(ps), [passenger], nextRow - fromRow);
+            const blockerState = blocker && this.passengerStates.get(blocker.id);
+
+            // Walkers coming the other way pass shoulder to shoulder, whatever their personal space
+            const oncoming = blocker && this._isHeadingTowards(blockerState, fromRow);
+            if (oncoming && blockerState.aisleRow === nextRow) {
+                this._squeezePast(ps, blockerState);
+                return;
+            }
+
+            if (blocker && !oncoming) {
+                // Blocked (only counts if we made no progress this step)
+                if (!moved) {
+                    this._wait(ps);
+                    this._recordEvent(EventType.AISLE_BLOCKED, passenger, {
+                        row: fromRow,
+                        blockedBy: nextRow,
+                        blockerId: blocker.id,
+                    });
+                }
+                ps.moveCredit = 0;
+                return;
+            }
+
+            // Move
+            this.aircraft.removeFromAisle(fromRow, ps.aisle);
+            this.aircraft.placeInAisle(passenger, nextRow, ps.aisle, this._aisleFootprint(ps));
+            ps.aisleRow = nextRow;
+            this._updateAisleOrder(ps);
+            ps.moveCredit -= cost;
+            moved = true;
+            this._recordEvent(EventType.MOVE, passenger, { from: fromRow, to: nextRow });
+        }
+
+        // Arrived: no carrying momentum into the next walk
+        if (ps.aisleRow === targetRow) {
+            ps.moveCredit = 0;
         }
     }
 
+    /**
+     * Row a walking passenger is currently heading for
+     * @returns {number|null} null if not walking
+     */
+    _getWalkTarget(ps) {
+        if (ps.state !== PassengerState.WALKING) return null;
+        return !ps.bagStowed && ps.binRow !== null ? ps.binRow : ps.passenger.row;
+    }
+
+    /**
+     * Whether a passenger is walking towards the given row
+     */
+    _isHeadingTowards(ps, row) {
+        const targetRow = this._getWalkTarget(ps);
+        if (targetRow === null || targetRow === ps.aisleRow) return false;
+        return Math.sign(targetRow - ps.aisleRow) === Math.sign(row - ps.aisleRow);
+    }
+
+    /**
+     * Rows of aisle a passenger takes up, personal space included
+     * (see the aisleHeadway and bagFootprint options)
+     */
+    _aisleFootprint(ps) {
+        const { aisleHeadway, bagFootprint } = this.options;
+        return (this._isCarryingBag(ps) ? bagFootprint : 1) + aisleHeadway;
+    }
+
+    /**
+     * Whether a passenger has their bag in hand
+     */
+    _isCarryingBag(ps) {
+        return !ps.bagStowed;
+    }
+
+    /**
+     * Swap aisle cells with an oncoming walker (costs both their momentum)
+     */
+    _squeezePast(ps, other) {
+        const row = ps.aisleRow;
+        const otherRow = other.aisleRow;
+
+        this.aircraft.placeInAisle(other.passenger, row, ps.aisle, this._aisleFootprint(other));
+        this.aircraft.placeInAisle(ps.passenger, otherRow, ps.aisle, this._aisleFootprint(ps));
+        ps.aisleRow = otherRow;
+        other.aisleRow = row;
+        this._updateAisleOrder(ps);
+        this._updateAisleOrder(other);
+        ps.moveCredit = 0;
+        other.moveCredit = 0;
+
+        this._recordEvent(EventType.SQUEEZE_PAST, ps.passenger, {
+            from: row,
+            to: otherRow,
+            passedId: other.passenger.id,
+        });
+    }
+
     /**
      * Process stowing passenger
      */
@@ -211,13 +1070,24 @@ export class Simulation {
         ps.stowRemaining--;
 
         if (ps.stowRemaining <= 0) {
-            // Done stowing
-            this.aircraft.useBinCapacity(ps.aisleRow, ps.passenger.carryOnSize);
-            this._recordEvent(EventType.STOW_END, ps.passenger, { row: ps.aisleRow });
-            this._startSeating(ps);
+            // Done stowing (bin space was taken when stowing started)
+            ps.bagStowed = true;
+            this.aircraft.placeInAisle(ps.passenger, ps.aisleRow, ps.aisle, this._aisleFootprint(ps));
+            if (ps.bagGateChecked) {
+                this._recordEvent(EventType.GATE_CHECK_END, ps.passenger, { row: ps.aisleRow });
+            } else {
+                this._recordEvent(EventType.STOW_END, ps.passenger, { row: ps.aisleRow });
+            }
+
+            if (ps.aisleRow === ps.passenger.row) {
+                this._startSeating(ps);
+            } else {
+                // Stowed elsewhere; walk back to our row
+                ps.state = PassengerState.WALKING;
+            }
         } else {
             // Still stowing, blocking aisle
-            ps.waitTime++;
+            this._wait(ps);
         }
     }
 
@@ -225,12 +1095,18 @@ export class Simulation {
      * Start seating process (check for shuffle)
      */
     _startSeating(ps) {
-        const blocking = this.aircraft.getBlockingSeats(ps.passenger.row, ps.passenger.column);
+        const { row, column } = ps.passenger;
+        const blocking = this.aircraft.getBlockingSeats(row, column);
 
         if (blocking.length > 0) {
-            // Need to shuffle - seats blocking our access
+            // Need to shuffle - seated row-mates (aisle side first) have to get out
             ps.state = PassengerState.SHUFFLING;
-            ps.shuffleRemaining = blocking.length * 3; // 3 steps per person
+            ps.shuffle = {
+                blockers: blocking.map(col => this.passengerStates.get(this.aircraft.getPassengerInSeat(row, col).id)),
+                outside: [],   // Blockers standing in the aisle
+                remaining: 0,  // Steps until the current blocker is out of the way
+                waited: 0,     // Steps spent waiting for aisle room
+            };
             this._recordEvent(EventType.SHUFFLE_START, ps.passenger, {
                 row: ps.aisleRow,
                 blocking
@@ -238,6 +1114,7 @@ export class Simulation {
         } else {
             // Direct access to seat
             ps.state = PassengerState.SEATING;
+            this._recordEvent(EventType.SIT_DOWN, ps.passenger, { row: ps.aisleRow });
         }
     }
 
@@ -245,58 +1122,399 @@ export class Simulation {
      * Process shuffling passenger
      */
     _processShuffling(ps) {
-        ps.shuffleRemaining--;
-        ps.waitTime++;
+        const { shuffle } = ps;
+        const { blockerStandTime, maxShuffleWait } = this.options;
+        this._wait(ps);
 
-        if (ps.shuffleRemaining <= 0) {
-            this._recordEvent(EventType.SHUFFLE_END, ps.passenger, { row: ps.aisleRow });
-            ps.state = PassengerState.SEATING;
+        // Current blocker still getting out of the way
+        if (shuffle.remaining > 0) {
+            shuffle.remaining--;
+            if (shuffle.remaining > 0) return;
         }
+
+        if (shuffle.blockers.length > 0) {
+            const cell = this._findYieldCell(ps);
+            if (cell !== null) {
+                const blocker = shuffle.blockers.shift();
+                this._stepIntoAisle(blocker, cell, ps);
+                shuffle.outside.push(blocker);
+                shuffle.remaining = blockerStandTime;
+            } else if (++shuffle.waited > maxShuffleWait) {
+                // No room in the aisle: squeeze past the rest in their seats
+                shuffle.remaining = shuffle.blockers.reduce((sum, blocker) => sum + blocker.passenger.shuffleTime, 0);
+                shuffle.blockers = [];
+            }
+            return;
+        }
+
+        this._recordEvent(EventType.SHUFFLE_END, ps.passenger, { row: ps.aisleRow });
+        ps.state = PassengerState.SEATING;
+    }
+
+    /**
+     * Free aisle cell next to a shuffling passenger for a row-mate to
+     * step into: ahead of them first, then behind
+     * @returns {number|null} Aisle row, or null if there is no room
+     */
+    _findYieldCell(ps) {
+        const { aisleRow, direction, aisle } = ps;
+        const candidates = [aisleRow + direction, aisleRow + 2 * direction, aisleRow - direction, aisleRow - 2 * direction];
+
+        // Standing up for a row-mate, they keep their distance from everyone else
+        const footprint = 1 + this.options.aisleHeadway;
+        const rowParty = [ps.passenger, ...ps.shuffle.outside.map(blocker => blocker.passenger)];
+
+        for (const row of candidates) {
+            if (row >= 1 && row <= this.aircraft.rows && !this.aircraft.isAisleOccupied(row, aisle, footprint, rowParty)) {
+                return row;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Seated passenger gets up and stands in the aisle to let a row-mate in
+     */
+    _stepIntoAisle(blocker, cell, ps) {
+        const { row, column } = blocker.passenger;
+
+        this.aircraft.vacateSeat(row, column);
+        this.aircraft.placeInAisle(blocker.passenger, cell, ps.aisle, this._aisleFootprint(blocker));
+        blocker.state = PassengerState.YIELDING;
+        blocker.aisleRow = cell;
+        this._updateAisleOrder(blocker);
+        this.settledCount--;
+        blocker.reseatRemaining = null;  // Until the row-mate is seated
+        this._recordEvent(EventType.STAND, blocker.passenger, { row, column, aisleRow: cell, forId: ps.passenger.id });
+    }
+
+    /**
+     * Process a passenger standing in the aisle for a row-mate
+     */
+    _processYielding(ps) {
+        if (ps.reseatRemaining === null) return;
+
+        ps.reseatRemaining--;
+        if (ps.reseatRemaining > 0) return;
+
+        this.aircraft.removeFromAisle(ps.aisleRow, ps.aisle);
+        this.aircraft.seatPassenger(ps.passenger);
+        ps.state = PassengerState.SEATED;
+        ps.aisleRow = ps.passenger.row;
+        this._updateAisleOrder(ps);
+        ps.reseatRemaining = null;
+        this.settledCount++;
+        this._recordEvent(EventType.RESEAT, ps.passenger, {
+            row: ps.passenger.row,
+            column: ps.passenger.column
+        });
     }
 
     /**
      * Process seating passenger
      */
     _processSeating(ps) {
+        // Reduced mobility: sitting down takes a while
+        if (ps.seatRemaining > 0) {
+            ps.seatRemaining--;
+            return;
+        }
+
         // Remove from aisle and seat
-        this.aircraft.removeFromAisle(ps.aisleRow);
+        this.aircraft.removeFromAisle(ps.aisleRow, ps.aisle);
         this.aircraft.seatPassenger(ps.passenger);
         ps.state = PassengerState.SEATED;
+        this._updateAisleOrder(ps);
         ps.seatedAt = this.currentStep;
+        this.settledCount++;
         this._recordEvent(EventType.SEAT, ps.passenger, {
             row: ps.passenger.row,
             column: ps.passenger.column
         });
+
+        // Row-mates in the aisle sit back down, the one furthest in first
+        if (ps.shuffle) {
+            let delay = 0;
+            for (const blocker of [...ps.shuffle.outside].reverse()) {
+                delay += this.options.blockerSitTime;
+                blocker.reseatRemaining = delay;
+            }
+            ps.shuffle = null;
+        }
     }
 
     /**
-     * Try to add next passenger from queue
+     * Try to add next passenger from each door queue
+     * (into the door cell of the aisle leading to their seat)
      */
     _tryAddFromQueue() {
-        if (this.queue.length === 0) return;
+        for (const door of this.aircraft.doors) {
+            const queue = this.queues.get(door.id);
+            if (queue.length === 0) continue;
 
-        // Check if row 0 (entrance) is free
-        if (this.aircraft.isAisleOccupied(0)) return;
+            this.doorStats.active++;
+
+            // Open seating: pick a seat on reaching the door
+            if (!queue[0].seatChosen) this._chooseSeat(queue[0]);
+
+            // Bag rules at the door: tagging a bag for the hold holds the line up
+            if (queue[0].gateTagRemaining === null) queue[0].gateTagRemaining = this._applyGateBagPolicy(queue[0], door);
+            if (queue[0].gateTagRemaining > 0) {
+                queue[0].gateTagRemaining--;
+                this.doorStats.gateLimited++;
+                continue;
+            }
+
+            // Check if the door's aisle cell is free
+            if (this.aircraft.isAisleOccupied(door.aisleRow, queue[0].aisle, this._aisleFootprint(queue[0]))) {
+                this.doorStats.aisleLimited++;
+                continue;
+            }
+
+            // Get next passenger from queue
+            this._enterAircraft(queue.shift(), door);
+        }
+    }
+
+    /**
+     * Open seating: pick the best-scoring seat nobody has claimed yet
+     * (see DEFAULT_SEAT_CHOICE) and take it as the passenger's seat
+     */
+    _chooseSeat(ps) {
+        const { seatChoice } = this.options;
+        const { aircraft } = this;
+        const { passenger, door } = ps;
+
+        let best = null;
+        for (const { row, column } of aircraft.getSeatList()) {
+            if (this.seatClaims.has(`${row}-${column}`)) continue;
+
+            const { seatClass } = aircraft.getSeatInfo(column, row);
+            const closeness = 1 - Math.abs(row - door.aisleRow) / (aircraft.rows + 1);
+            let score = seatChoice.front * closeness +
+                seatChoice[seatClass] +
+                seatChoice.climbOver * aircraft.getBlockingSeats(row, column).length +
+                seatChoice.noise * this.rng.nextGaussian();
+            if (this._isNextToCompanion(ps, row, column)) score += seatChoice.group;
+
+            if (!best || score > best.score) best = { row, column, score };
+        }
 
-        // Get next passenger from queue
-        const ps = this.queue.shift();
+        const { row, column } = best;
+        this.seatClaims.set(`${row}-${column}`, ps);
+        ps.passenger = passenger.withSeat(row, column, {
+            columns: aircraft.columns,
+            aislePositions: aircraft.aislePositions,
+            rowColumns: aircraft.getRowLayout(row).seats,
+        });
+        ps.aisle = aircraft.getSeatInfo(column, row).aisle;
+        ps.direction = Math.sign(row - door.aisleRow);
+        ps.seatChosen = true;
+        this._recordEvent(EventType.CHOOSE_SEAT, ps.passenger, { row, column });
+    }
+
+    /**
+     * Whether a seat is beside one a travel companion picked, on the same side of the aisle
+     */
+    _isNextToCompanion(ps, row, column) {
+        const { groupId } = ps.passenger;
+        if (groupId === null) return false;
+
+        const { columns, aislePositions } = this.aircraft;
+        const seats = this.aircraft.getRowLayout(row).seats;
+        const index = seats.indexOf(column);
+
+        return [seats[index - 1], seats[index + 1]].some(neighbour => {
+            if (neighbour === undefined) return false;
+            const claimant = this.seatClaims.get(`${row}-${neighbour}`);
+            if (!claimant || claimant.passenger.groupId !== groupId) return false;
+
+            const [low, high] = [columns.indexOf(column), columns.indexOf(neighbour)].sort((a, b) => a - b);
+            return !aislePositions.some(position => position > low && position <= high);
+        });
+    }
+
+    /**
+     * Step a passenger from the door into the aisle
+     */
+    _enterAircraft(ps, door) {
         ps.state = PassengerState.WALKING;
-        ps.aisleRow = 0;
+        ps.aisleRow = door.aisleRow;
         ps.enteredAt = this.currentStep;
-        this.aircraft.placeInAisle(ps.passenger, 0);
-        this._recordEvent(EventType.ENTER, ps.passenger, {});
+        this._updateAisleOrder(ps);
+        if (!ps.preBoarding && this.generalBoardingStart === null) this.generalBoardingStart = this.currentStep;
+        this.aircraft.placeInAisle(ps.passenger, door.aisleRow, ps.aisle, this._aisleFootprint(ps));
+        this._recordEvent(EventType.ENTER, ps.passenger, { door: door.id });
+    }
+
+    /**
+     * Move passengers through each door's gate: zone calls, boarding pass
+     * scanning, then the jet bridge to the aircraft door
+     */
+    _processGates() {
+        this._callNextZone();
+
+        for (const door of this.aircraft.doors) {
+            const queue = this.queues.get(door.id);
+            const { agents, bridge } = this.gates.get(door.id);
+
+            // Jet bridge: everyone walks on, the passenger at the front boards
+            for (const ps of bridge) {
+                if (ps.bridgeRemaining > 0) ps.bridgeRemaining--;
+            }
+
+            const stillToBoard = queue.length > 0 || bridge.length > 0 || agents.some(agent => agent.ps);
+            if (stillToBoard) this.doorStats.active++;
+
+            const head = bridge[0];
+            if (head && head.bridgeRemaining === 0) {
+                if (!head.seatChosen) this._chooseSeat(head);
+
+                if (this.aircraft.isAisleOccupied(door.aisleRow, head.aisle, this._aisleFootprint(head))) {
+                    this.doorStats.aisleLimited++;
+                } else {
+                    this._enterAircraft(bridge.shift(), door);
+                }
+            } else if (stillToBoard) {
+                this.doorStats.gateLimited++;
+            }
+
+            // Agents: finish scans into the bridge, then take the next called passenger
+            for (const agent of agents) {
+                if (agent.ps) {
+                    if (agent.remaining > 0) agent.remaining--;
+                    if (agent.remaining > 0) continue;
+
+                    // Scanned; held at the gate while the bridge is full
+                    if (bridge.length >= this.options.jetBridgeCapacity) continue;
+
+                    const { ps } = agent;
+                    ps.state = PassengerState.BRIDGE;
+                    ps.bridgeRemaining = Math.ceil(this.options.jetBridgeLength / ps.passenger.speedMultiplier);
+                    bridge.push(ps);
+                    agent.ps = null;
+                    this.zoneUnscanned[ps.zone]--;
+                    this._recordEvent(EventType.SCAN, ps.passenger, { door: door.id, zone: ps.zone });
+                }
+
+                if (queue.length > 0 && queue[0].zone < this.zonesCalled) {
+                    agent.ps = queue.shift();
+                    agent.ps.state = PassengerState.SCANNING;
+                    this._recordEvent(EventType.SCAN_START, agent.ps.passenger, { door: door.id });
+                    agent.remaining = this.options.scanTime + this._applyGateBagPolicy(agent.ps, door);
+                }
+            }
+        }
+    }
+
+    /**
+     * Send a passenger's carry-on to the hold if the gate bag policy says so
+     * @returns {number} Extra steps at the gate
+     */
+    _applyGateBagPolicy(ps, door) {
+        const { gateBagPolicy, gateBagLimit, gateTagTime } = this.options;
+        const { carryOnSize } = ps.passenger;
+        if (gateBagPolicy === GateBagPolicy.NONE || carryOnSize === CarryOnSize.NONE) return 0;
+
+        let keeps = null;
+        switch (gateBagPolicy) {
+            case GateBagPolicy.LARGE_AFTER:
+                if (carryOnSize === CarryOnSize.LARGE && this.bagsStowed >= gateBagLimit) keeps = CarryOnSize.NONE;
+                break;
+            case GateBagPolicy.LAST_ZONE:
+                if (this._isInLastZone(ps)) keeps = CarryOnSize.NONE;
+                break;
+            case GateBagPolicy.ONE_BAG:
+                if (carryOnSize === CarryOnSize.LARGE) keeps = CarryOnSize.SMALL;
+                break;
+        }
+        if (keeps === null) return 0;
+
+        const { row } = ps.passenger;
+        ps.passenger = ps.passenger.withCarryOn(keeps, {
+            columns: this.aircraft.columns,
+            aislePositions: this.aircraft.aislePositions,
+            rowColumns: this.aircraft.getRowLayout(row).seats,
+        });
+        ps.bagStowed = keeps === CarryOnSize.NONE;
+        this.gateCheckedBags++;
+        this._recordEvent(EventType.BAG_TAG, ps.passenger, { door: door.id, carryOnSize, keeps });
+        return gateTagTime;
+    }
+
+    /**
+     * Whether a passenger boards with the last zone (the back of the queue
+     * when zones are not called)
+     */
+    _isInLastZone(ps) {
+        if (ps.preBoarding) return false;
+        const { gateModel, zoneCalls } = this.options;
+        if (gateModel && zoneCalls > 1) return ps.zone === this.zoneUnscanned.length - 1;
+        return ps.queueIndex >= this.plannedQueueLength * (1 - UNZONED_LAST_ZONE_SHARE);
+    }
+
+    /**
+     * Call the next zone once the previous one has passed the gate and the
+     * pause between calls is over
+     */
+    _callNextZone() {
+        if (this.zonesCalled >= this.zoneUnscanned.length) return;
+        if (this.zoneUnscanned[this.zonesCalled - 1] > 0) return;
+
+        if (this.nextZoneCallAt === null) {
+            this.nextZoneCallAt = this.currentStep + this.options.zonePause;
+        }
+        if (this.currentStep >= this.nextZoneCallAt) {
+            this.zonesCalled++;
+            this.zoneCallSteps.push(this.currentStep);
+            this.nextZoneCallAt = null;
+        }
     }
 
     /**
      * Check if simulation is complete
      */
     _checkCompletion() {
-        for (const ps of this.passengerStates.values()) {
-            if (ps.state !== PassengerState.SEATED) {
-                return;
+        if (this.settledCount === this.passengerStates.size) this.isComplete = true;
+    }
+
+    /**
+     * Whether no passenger is queueing, being scanned or on the jet bridge
+     */
+    _isGateEmpty() {
+        if (this.queueLength > 0) return false;
+        for (const { agents, bridge } of this.gates.values()) {
+            if (bridge.length > 0 || agents.some(agent => agent.ps)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Count a step of waiting (blocked, stowing or held in the seat)
+     */
+    _wait(ps) {
+        ps.waitTime++;
+        this.waitGrowth.set(ps, (this.waitGrowth.get(ps) ?? 0) + 1);
+    }
+
+    /**
+     * Record passengers whose wait time grows at a different rate than
+     * the step before, so playback can tell every passenger's wait time
+     * from the events alone
+     */
+    _recordWaits() {
+        for (const ps of this.waitRates.keys()) {
+            if (!this.waitGrowth.has(ps)) {
+                this._recordEvent(EventType.WAIT, ps.passenger, { waitTime: ps.waitTime, rate: 0 });
             }
         }
-        this.isComplete = true;
+        for (const [ps, rate] of this.waitGrowth) {
+            if (this.waitRates.get(ps) !== rate) {
+                this._recordEvent(EventType.WAIT, ps.passenger, { waitTime: ps.waitTime, rate });
+            }
+        }
+        this.waitRates = this.waitGrowth;
+        this.waitGrowth = new Map();
     }
 
     /**
@@ -318,46 +1536,111 @@ export class Simulation {
      * @returns {Object}
      */
     getSnapshot() {
-        const passengersInAisle = [];
-        const passengersSeated = [];
-        const passengersWaiting = [];
-
+        const lists = {
+            passengersInAisle: [],
+            passengersSeated: [],
+            passengersWaiting: [],
+            passengersExited: [],
+            passengersAbsent: [],
+            passengersNoShow: [],
+        };
         for (const ps of this.passengerStates.values()) {
-            const entry = {
-                id: ps.passenger.id,
-                row: ps.passenger.row,
-                column: ps.passenger.column,
-                state: ps.state,
-                aisleRow: ps.aisleRow,
-                waitTime: ps.waitTime,
-            };
-
-            if (ps.state === PassengerState.SEATED) {
-                passengersSeated.push(entry);
-            } else if (ps.state === PassengerState.WAITING) {
-                passengersWaiting.push(entry);
-            } else {
-                passengersInAisle.push(entry);
-            }
+            const { list, entry } = this._getSnapshotEntry(ps);
+            lists[list].push(entry);
         }
 
+        const { step, isComplete, ...fields } = this.getSnapshotFields();
+        return {
+            step,
+            isComplete,
+            ...lists,
+            ...fields,
+            seatedCount: lists.passengersSeated.length,
+            exitedCount: lists.passengersExited.length,
+            noShowCount: lists.passengersNoShow.length,
+        };
+    }
+
+    /**
+     * Top-level fields of the current snapshot: everything but the
+     * passenger lists and their counts
+     * @returns {Object}
+     */
+    getSnapshotFields() {
         return {
             step: this.currentStep,
             isComplete: this.isComplete,
-            passengersInAisle,
-            passengersSeated,
-            passengersWaiting,
-            queueLength: this.queue.length,
-            seatedCount: passengersSeated.length,
+            queueLength: this.queueLength,
+            zonesCalled: this.zonesCalled,
+            obstacles: this.obstacles
+                .map(obstacle => ({
+                    id: obstacle.id,
+                    type: obstacle.type,
+                    aisle: obstacle.aisle,
+                    rows: obstacleRowsAt(obstacle, this.currentStep),
+                }))
+                .filter(obstacle => obstacle.rows.length > 0),
+            aisleHeadway: this.options.aisleHeadway,
+            lateArrivalTime: this.lateArrivalTime,
+            congestionTime: this.congestionTime,
             totalPassengers: this.passengerStates.size,
         };
     }
 
+    /**
+     * One passenger's part of the current snapshot, for playback that
+     * follows the events rather than taking whole snapshots
+     * @param {number} id - Passenger id
+     * @returns {{list: string, entry: Object, order: number, waitRate: number}}
+     *   Snapshot list and entry, place in the passenger order the lists
+     *   keep, and steps waited per step (see EventType.WAIT)
+     */
+    getPassengerSnapshot(id) {
+        const ps = this.passengerStates.get(id);
+        return { ...this._getSnapshotEntry(ps), order: ps.index, waitRate: this.waitRates.get(ps) ?? 0 };
+    }
+
+    /**
+     * Snapshot list a passenger is shown in, and their entry in it
+     */
+    _getSnapshotEntry(ps) {
+        const entry = {
+            id: ps.passenger.id,
+            row: ps.passenger.row,
+            column: ps.passenger.column,
+            state: ps.state,
+            aisleRow: ps.aisleRow,
+            aisle: ps.aisle,
+            door: ps.door.id,
+            waitTime: ps.waitTime,
+            footprint: this._aisleFootprint(ps),
+        };
+
+        let list;
+        if (ps.state === PassengerState.SEATED) {
+            list = 'passengersSeated';
+        } else if (ps.state === PassengerState.WAITING ||
+            ps.state === PassengerState.SCANNING ||
+            ps.state === PassengerState.BRIDGE) {
+            list = 'passengersWaiting';
+        } else if (ps.state === PassengerState.EXITED) {
+            list = 'passengersExited';
+        } else if (ps.state === PassengerState.ABSENT) {
+            list = 'passengersAbsent';
+        } else if (ps.state === PassengerState.NO_SHOW) {
+            list = 'passengersNoShow';
+        } else {
+            list = 'passengersInAisle';
+        }
+        return { list, entry };
+    }
+
     /**
      * Get all events
+     * @param {number} [from=0] - Only the events from this index on
      */
-    getEvents() {
-        return this.events;
+    getEvents(from = 0) {
+        return from === 0 ? this.events : this.events.slice(from);
     }
 
     /**
@@ -380,8 +1663,27 @@ export class Simulation {
         const blockedEvents = this.events.filter(e => e.type === EventType.AISLE_BLOCKED);
         aisleBlockedSteps = blockedEvents.length;
 
-        const avgWaitTime = totalWaitTime / this.passengerStates.size;
-        const aisleBlockedPercent = (aisleBlockedSteps / (totalTime * this.passengerStates.size)) * 100;
+        // No-shows never board
+        const boarded = this.passengerStates.size - this.noShowCount;
+        const avgWaitTime = totalWaitTime / boarded;
+        const aisleBlockedPercent = (aisleBlockedSteps / (totalTime * boarded)) * 100;
+
+        // Share of door time spent waiting on the gate vs. on a full aisle
+        const { active, gateLimited, aisleLimited } = this.doorStats;
+        const gateLimitedPercent = active > 0 ? (gateLimited / active) * 100 : 0;
+        const aisleLimitedPercent = active > 0 ? (aisleLimited / active) * 100 : 0;
+
+        // What pre-boarding costs everyone else: the wait before their boarding
+        // starts, and their time held up in the cabin
+        const states = [...this.passengerStates.values()];
+        const entries = states.filter(ps => ps.enteredAt >= 0).map(ps => ps.enteredAt);
+        const firstEntry = entries.length > 0 ? Math.min(...entries) : 0;
+        const preBoardingTime = this.preBoardCount > 0 ? (this.generalBoardingStart ?? totalTime) - firstEntry : 0;
+
+        const general = states.filter(ps => !ps.preBoarding && ps.state !== PassengerState.NO_SHOW);
+        const generalWaitTime = general.length > 0
+            ? general.reduce((sum, ps) => sum + ps.waitTime, 0) / general.length
+            : 0;
 
         return {
             totalTime,
@@ -389,6 +1691,195 @@ export class Simulation {
             maxWaitTime,
             aisleBlockedPercent: Math.round(aisleBlockedPercent * 10) / 10,
             totalPassengers: this.passengerStates.size,
+            queueDeviation: Math.round(this.queueDeviation * 10) / 10,
+            gateLimitedPercent: Math.round(gateLimitedPercent * 10) / 10,
+            aisleLimitedPercent: Math.round(aisleLimitedPercent * 10) / 10,
+            lateArrivalTime: this.lateArrivalTime,
+            congestionTime: this.congestionTime,
+            noShows: this.noShowCount,
+            buses: new Set([...this.passengerStates.values()].filter(ps => ps.bus !== null).map(ps => ps.bus)).size,
+            obstacleDelay: this.events.filter(e => e.type === EventType.OBSTACLE_BLOCKED).length,
+            gateCheckedBags: this.gateCheckedBags,
+            preBoarded: this.preBoardCount,
+            preBoardingTime,
+            generalWaitTime: Math.round(generalWaitTime * 10) / 10,
+        };
+    }
+
+    /**
+     * Checkpoint the run as it stands (see Checkpoint.js): stepping on from
+     * deserialize() gives the same run as stepping on from here
+     * @returns {Object} Checkpoint, plain JSON
+     */
+    serialize() {
+        const writer = new CheckpointWriter();
+        return writer.finish({
+            simulation: this._serializeState(writer),
+            aircraft: this.aircraft.serialize(writer),
+            rng: this.rng.serialize(),
+        });
+    }
+
+    /**
+     * Rebuild a simulation from a checkpoint made by the same class
+     * @param {Object} checkpoint - From serialize()
+     * @returns {Simulation}
+     * @throws {Error} If the checkpoint is malformed
+     */
+    static deserialize(checkpoint) {
+        const reader = new CheckpointReader(checkpoint);
+        const { aircraft: aircraftState, rng, simulation: state } = reader.checkpoint;
+        const aircraft = new Aircraft(aircraftState.config);
+        const simulation = new this({
+            passengers: state.originalPassengers.map(index => reader.passenger(index)),
+            aircraft,
+            options: state.options,
+            rng: RandomGenerator.deserialize(rng),
+        });
+
+        // Setting up empties the cabin, so the aircraft's state goes back last
+        simulation._restoreState(state, reader);
+        aircraft.restore(aircraftState, reader);
+        return simulation;
+    }
+
+    /**
+     * Independent copy of the simulation at this step, for branching
+     * what-if runs (with its own aircraft and random generator)
+     * @returns {Simulation}
+     */
+    clone() {
+        return this.constructor.deserialize(this.serialize());
+    }
+
+    /**
+     * The simulation's own state, with passengers and passenger states as references
+     * @param {import('./Checkpoint').CheckpointWriter} writer
+     * @returns {Object}
+     */
+    _serializeState(writer) {
+        const states = (list) => list.map(ps => writer.state(ps));
+
+        return {
+            options: this.options,
+            originalPassengers: this.originalPassengers.map(passenger => writer.passenger(passenger)),
+            passengerStates: [...this.passengerStates.values()].map(ps => ({
+                ...ps,
+                passenger: writer.passenger(ps.passenger),
+                door: ps.door.id,
+                shuffle: ps.shuffle && {
+                    ...ps.shuffle,
+                    blockers: states(ps.shuffle.blockers),
+                    outside: states(ps.shuffle.outside),
+                },
+            })),
+            currentStep: this.currentStep,
+            isComplete: this.isComplete,
+            events: this.events,
+            queueDeviation: this.queueDeviation,
+            gates: [...this.gates].map(([id, { agents, bridge }]) => [id, {
+                agents: agents.map(agent => ({ ...agent, ps: writer.state(agent.ps) })),
+                bridge: states(bridge),
+            }]),
+            zonesCalled: this.zonesCalled,
+            zoneUnscanned: this.zoneUnscanned,
+            zoneCallSteps: this.zoneCallSteps,
+            nextZoneCallAt: this.nextZoneCallAt,
+            arrivals: this.arrivalSteps.map(step => [step, states(this.arrivals.get(step))]),
+            stragglers: states(this.stragglers),
+            stragglerZones: this.stragglerZones,
+            absentCount: this.absentCount,
+            noShowCount: this.noShowCount,
+            busCount: this.busCount,
+            lateArrivalTime: this.lateArrivalTime,
+            congestionTime: this.congestionTime,
+            doorStats: this.doorStats,
+            seatClaims: [...this.seatClaims].map(([key, ps]) => [key, writer.state(ps)]),
+            bagsStowed: this.bagsStowed,
+            gateCheckedBags: this.gateCheckedBags,
+            plannedQueueLength: this.plannedQueueLength,
+            preBoardCount: this.preBoardCount,
+            generalBoardingStart: this.generalBoardingStart,
+            queues: [...this.queues].map(([id, queue]) => [id, states(queue)]),
+            settledCount: this.settledCount,
+            waitRates: [...this.waitRates].map(([ps, rate]) => [writer.state(ps), rate]),
         };
     }
+
+    /**
+     * Put the state from _serializeState() back
+     * @param {Object} state
+     * @param {import('./Checkpoint').CheckpointReader} reader
+     */
+    _restoreState(state, reader) {
+        this.passengerStates = new Map();
+        for (const fields of state.passengerStates) {
+            const passenger = reader.passenger(fields.passenger);
+            this.passengerStates.set(passenger.id, { ...fields, passenger, door: this._getDoorById(fields.door) });
+        }
+
+        const getState = (id) => {
+            if (id === null) return null;
+            const ps = this.passengerStates.get(id);
+            if (!ps) throw new Error(`Invalid checkpoint: no passenger state ${id}`);
+            return ps;
+        };
+        const states = (ids) => ids.map(getState);
+
+        for (const ps of this.passengerStates.values()) {
+            if (ps.shuffle) {
+                ps.shuffle = { ...ps.shuffle, blockers: states(ps.shuffle.blockers), outside: states(ps.shuffle.outside) };
+            }
+        }
+
+        this.currentStep = state.currentStep;
+        this.isComplete = state.isComplete;
+        this.events = state.events;
+        this.queueDeviation = state.queueDeviation;
+        this.gates = new Map(state.gates.map(([id, { agents, bridge }]) => [id, {
+            agents: agents.map(agent => ({ ...agent, ps: getState(agent.ps) })),
+            bridge: states(bridge),
+        }]));
+        this.zonesCalled = state.zonesCalled;
+        this.zoneUnscanned = state.zoneUnscanned;
+        this.zoneCallSteps = state.zoneCallSteps;
+        this.nextZoneCallAt = state.nextZoneCallAt;
+        this.arrivals = new Map(state.arrivals.map(([step, ids]) => [step, states(ids)]));
+        this.arrivalSteps = state.arrivals.map(([step]) => step);
+        this.stragglers = states(state.stragglers);
+        this.stragglerZones = state.stragglerZones;
+        this.absentCount = state.absentCount;
+        this.noShowCount = state.noShowCount;
+        this.busCount = state.busCount;
+        this.lateArrivalTime = state.lateArrivalTime;
+        this.congestionTime = state.congestionTime;
+        this.doorStats = state.doorStats;
+        this.seatClaims = new Map(state.seatClaims.map(([key, id]) => [key, getState(id)]));
+        this.bagsStowed = state.bagsStowed;
+        this.gateCheckedBags = state.gateCheckedBags;
+        this.plannedQueueLength = state.plannedQueueLength;
+        this.preBoardCount = state.preBoardCount;
+        this.generalBoardingStart = state.generalBoardingStart;
+        this.queues = new Map(state.queues.map(([id, ids]) => [id, states(ids)]));
+        this.settledCount = state.settledCount;
+        this.waitGrowth = new Map();
+        this.waitRates = new Map(state.waitRates.map(([id, rate]) => [getState(id), rate]));
+
+        // Indexes, rebuilt from the passenger states
+        this.aisleOrder = Array.from({ length: 2 * this.aircraft.rows + 3 }, () => []);
+        for (const ps of this.passengerStates.values()) {
+            if (ps.aisleOrderKey !== null) this.aisleOrder[ps.aisleOrderKey].push(ps);
+        }
+        this._indexGroups();
+    }
+
+    /**
+     * Door passengers use, by id (for checkpoints)
+     * @param {string} id
+     */
+    _getDoorById(id) {
+        const door = this.aircraft.getDoor(id);
+        if (!door) throw new Error(`Invalid checkpoint: no door ${id}`);
+        return door;
+    }
 }
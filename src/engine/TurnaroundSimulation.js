@@ -0,0 +1,311 @@
+/**
+ * Full turnaround at the gate: the arriving passengers deplane, the cabin
+ * is cleaned and catered, then the departing passengers board.
+ * Runs a deplaning and a boarding simulation on the same aircraft one
+ * after the other, as one continuous run.
+ *
+ * The phases do not overlap: boarding starts only once the last arriving
+ * passenger is off (and the cabin cleaned), by when every bag has been
+ * collected. The two flights never meet in the aisle or compete for bin
+ * space, so the turnaround's boarding runs as it would from an empty cabin.
+ */
+
+import { Simulation, PassengerState, EventType } from './Simulation.js';
+import { DeplaningSimulation } from './DeplaningSimulation.js';
+import { Aircraft } from './Aircraft.js';
+import { RandomGenerator } from './RandomGenerator.js';
+import { CheckpointWriter, CheckpointReader } from './Checkpoint.js';
+
+/**
+ * Turnaround phases, in order
+ */
+export const TurnaroundPhase = {
+    DEPLANING: 'deplaning',
+    CLEANING: 'cleaning',  // Empty cabin: cleaning and catering
+    BOARDING: 'boarding',
+};
+
+/**
+ * Default turnaround options, on top of the simulation's
+ */
+export const DEFAULT_TURNAROUND_OPTIONS = {
+    cleaningTime: 300,  // Steps from the last passenger off to the start of boarding
+};
+
+/**
+ * Simulation class that manages a whole turnaround.
+ * Steps, events and snapshots run on from one phase to the next; snapshots
+ * and events are tagged with their phase. Options apply to both flights,
+ * and step-timed ones (obstacle scripts, gate arrivals) follow each
+ * phase's own clock.
+ */
+export class TurnaroundSimulation {
+    /**
+     * @param {Object} config
+     * @param {import('./Passenger').Passenger[]} config.arrivingPassengers - Seated when the aircraft arrives
+     * @param {import('./Passenger').Passenger[]} config.passengers - Boarding the next flight
+     * @param {import('./Aircraft').Aircraft} config.aircraft
+     * @param {Object} [config.options] - Overrides for DEFAULT_TURNAROUND_OPTIONS and the simulation's DEFAULT_OPTIONS
+     * @param {import('./RandomGenerator').RandomGenerator} [config.rng]
+     */
+    constructor({ arrivingPassengers, passengers, aircraft, options = {}, rng }) {
+        this.aircraft = aircraft;
+        this.arrivingPassengers = arrivingPassengers;
+        this.options = { ...DEFAULT_TURNAROUND_OPTIONS, ...options };
+
+        // Boarding is set up first: setting up empties the cabin, and deplaning starts from a full one
+        this.boarding = new Simulation({ passengers, aircraft, options, rng });
+        this.deplaning = new DeplaningSimulation({ passengers: arrivingPassengers, aircraft, options, rng });
+
+        this.currentStep = 0;
+        this.isComplete = false;
+        this.phase = TurnaroundPhase.DEPLANING;
+        this.phaseStarts = { [TurnaroundPhase.DEPLANING]: 0 };  // Step each phase began
+    }
+
+    /**
+     * Passengers who pre-board the departing flight (see Simulation)
+     * @returns {number[]}
+     */
+    getPreBoardingOrder() {
+        return this.boarding.getPreBoardingOrder();
+    }
+
+    /**
+     * Set the departing flight's boarding order (see Simulation)
+     * @param {number[]} orderedIds
+     */
+    setBoardingOrder(orderedIds) {
+        this.boarding.setBoardingOrder(orderedIds);
+    }
+
+    /**
+     * Set the arriving flight's release waves (see DeplaningSimulation)
+     * @param {number[][]} waves
+     */
+    setDeplaningOrder(waves) {
+        this.deplaning.setDeplaningOrder(waves);
+    }
+
+    /**
+     * Run a single simulation step
+     * @returns {boolean} Whether the simulation is still running
+     */
+    step() {
+        if (this.isComplete) return false;
+
+        this.currentStep++;
+        switch (this.phase) {
+            case TurnaroundPhase.DEPLANING:
+                if (!this.deplaning.step()) {
+                    this._startPhase(this.options.cleaningTime > 0 ? TurnaroundPhase.CLEANING : TurnaroundPhase.BOARDING);
+                }
+                break;
+
+            case TurnaroundPhase.CLEANING:
+                if (this.currentStep - this.phaseStarts[TurnaroundPhase.CLEANING] >= this.options.cleaningTime) {
+                    this._startPhase(TurnaroundPhase.BOARDING);
+                }
+                break;
+
+            case TurnaroundPhase.BOARDING:
+                if (!this.boarding.step()) this.isComplete = true;
+                break;
+        }
+
+        return !this.isComplete;
+    }
+
+    /**
+     * Move on to a phase from this step
+     */
+    _startPhase(phase) {
+        this.phase = phase;
+        this.phaseStarts[phase] = this.currentStep;
+    }
+
+    /**
+     * Run simulation to completion
+     * @param {number} maxSteps - Maximum steps to prevent infinite loops
+     * @returns {number} Number of steps taken
+     */
+    runToCompletion(maxSteps = 20000) {
+        while (!this.isComplete && this.currentStep < maxSteps) {
+            this.step();
+        }
+        return this.currentStep;
+    }
+
+    /**
+     * Get current snapshot of the phase under way, on the turnaround's clock
+     * (the cabin stands empty after deplaning while it is cleaned)
+     */
+    getSnapshot() {
+        return {
+            ...this._currentSimulation().getSnapshot(),
+            ...this.getSnapshotFields(),
+        };
+    }
+
+    /**
+     * Snapshot fields of the phase under way (see Simulation), on the
+     * turnaround's clock and tagged with the phase
+     */
+    getSnapshotFields() {
+        return {
+            ...this._currentSimulation().getSnapshotFields(),
+            step: this.currentStep,
+            isComplete: this.isComplete,
+            phase: this.phase,
+            phaseStep: this.currentStep - this.phaseStarts[this.phase],
+        };
+    }
+
+    /**
+     * One passenger's part of the current snapshot (see Simulation), from
+     * the flight whose passengers the snapshot shows
+     * @param {number} id - Passenger id
+     */
+    getPassengerSnapshot(id) {
+        return this._currentSimulation().getPassengerSnapshot(id);
+    }
+
+    /**
+     * Simulation whose cabin the snapshots show
+     */
+    _currentSimulation() {
+        return this.phase === TurnaroundPhase.BOARDING ? this.boarding : this.deplaning;
+    }
+
+    /**
+     * Get recorded events on the turnaround's clock, tagged with their phase.
+     * Both flights number their passengers from 1, so a passenger is their
+     * phase and passengerId together.
+     * @param {number} [from=0] - Only the events from this index on
+     * @returns {Object[]}
+     */
+    getEvents(from = 0) {
+        const deplaningCount = this.deplaning.getEvents().length;
+        const boardingStart = this.phaseStarts[TurnaroundPhase.BOARDING];
+        return [
+            ...(from < deplaningCount ? this.deplaning.getEvents(from) : [])
+                .map(event => ({ ...event, phase: TurnaroundPhase.DEPLANING })),
+            ...(boardingStart === undefined ? [] : this.boarding.getEvents(Math.max(0, from - deplaningCount))
+                .map(event => ({ ...event, step: event.step + boardingStart, phase: TurnaroundPhase.BOARDING }))),
+        ];
+    }
+
+    /**
+     * Calculate turnaround metrics. Top-level metrics cover the whole
+     * turnaround: passenger and aisle figures over both flights, gate and
+     * pre-boarding figures from boarding (no other phase has a gate).
+     * Each phase's own metrics are under phases.
+     */
+    getMetrics() {
+        const { [TurnaroundPhase.CLEANING]: cleaningStart, [TurnaroundPhase.BOARDING]: boardingStart } = this.phaseStarts;
+        const cleaningTime = cleaningStart === undefined ? 0 : (boardingStart ?? this.currentStep) - cleaningStart;
+        const deplaning = this.deplaning.getMetrics();
+        const boarding = this.boarding.getMetrics();
+
+        // Passengers of both flights who were aboard (no-shows never are)
+        const flights = [this.deplaning, this.boarding];
+        const aboard = flights.flatMap(simulation => [...simulation.passengerStates.values()]
+            .filter(ps => ps.state !== PassengerState.NO_SHOW));
+        const general = aboard.filter(ps => !ps.preBoarding);
+        const averageWait = (states) => states.length > 0
+            ? Math.round(states.reduce((sum, ps) => sum + ps.waitTime, 0) / states.length * 10) / 10
+            : 0;
+
+        // Steps blocked in the aisle, out of the passenger-steps each flight spent on board
+        const aisleBlocked = flights.reduce((sum, simulation) =>
+            sum + simulation.getEvents().filter(e => e.type === EventType.AISLE_BLOCKED).length, 0);
+        const passengerSteps = flights.reduce((sum, simulation) =>
+            sum + simulation.currentStep * (simulation.passengerStates.size - simulation.noShowCount), 0);
+        const aisleBlockedPercent = passengerSteps > 0 ? aisleBlocked / passengerSteps * 100 : 0;
+
+        return {
+            totalTime: this.currentStep,
+            avgWaitTime: averageWait(aboard),
+            maxWaitTime: Math.max(deplaning.maxWaitTime, boarding.maxWaitTime),
+            aisleBlockedPercent: Math.round(aisleBlockedPercent * 10) / 10,
+            totalPassengers: deplaning.totalPassengers + boarding.totalPassengers,
+            queueDeviation: boarding.queueDeviation,
+            gateLimitedPercent: boarding.gateLimitedPercent,
+            aisleLimitedPercent: boarding.aisleLimitedPercent,
+            lateArrivalTime: boarding.lateArrivalTime,
+            congestionTime: deplaning.congestionTime + boarding.congestionTime,
+            noShows: boarding.noShows,
+            buses: boarding.buses,
+            obstacleDelay: deplaning.obstacleDelay + boarding.obstacleDelay,
+            gateCheckedBags: boarding.gateCheckedBags,
+            preBoarded: boarding.preBoarded,
+            preBoardingTime: boarding.preBoardingTime,
+            generalWaitTime: averageWait(general),
+            phases: {
+                [TurnaroundPhase.DEPLANING]: deplaning,
+                [TurnaroundPhase.CLEANING]: { totalTime: cleaningTime },
+                [TurnaroundPhase.BOARDING]: boarding,
+            },
+            phaseStarts: { ...this.phaseStarts },
+        };
+    }
+
+    /**
+     * Checkpoint the turnaround as it stands (see Checkpoint.js), both
+     * flights on the one aircraft
+     * @returns {Object} Checkpoint, plain JSON
+     */
+    serialize() {
+        const writer = new CheckpointWriter();
+        return writer.finish({
+            simulation: {
+                options: this.options,
+                currentStep: this.currentStep,
+                isComplete: this.isComplete,
+                phase: this.phase,
+                phaseStarts: this.phaseStarts,
+                deplaning: this.deplaning._serializeState(writer),
+                boarding: this.boarding._serializeState(writer),
+            },
+            aircraft: this.aircraft.serialize(writer),
+            rng: this.boarding.rng.serialize(),
+        });
+    }
+
+    /**
+     * Rebuild a turnaround from a checkpoint
+     * @param {Object} checkpoint - From serialize()
+     * @returns {TurnaroundSimulation}
+     * @throws {Error} If the checkpoint is malformed
+     */
+    static deserialize(checkpoint) {
+        const reader = new CheckpointReader(checkpoint);
+        const { aircraft: aircraftState, rng: rngState, simulation: state } = reader.checkpoint;
+        const aircraft = new Aircraft(aircraftState.config);
+        const rng = RandomGenerator.deserialize(rngState);
+
+        const turnaround = new TurnaroundSimulation({
+            arrivingPassengers: state.deplaning.originalPassengers.map(index => reader.passenger(index)),
+            passengers: state.boarding.originalPassengers.map(index => reader.passenger(index)),
+            aircraft,
+            options: state.options,
+            rng,
+        });
+        turnaround.deplaning._restoreState(state.deplaning, reader);
+        turnaround.boarding._restoreState(state.boarding, reader);
+        turnaround.currentStep = state.currentStep;
+        turnaround.isComplete = state.isComplete;
+        turnaround.phase = state.phase;
+        turnaround.phaseStarts = state.phaseStarts;
+        aircraft.restore(aircraftState, reader);
+        return turnaround;
+    }
+
+    /**
+     * Independent copy of the turnaround at this step, for branching what-if runs
+     * @returns {TurnaroundSimulation}
+     */
+    clone() {
+        return TurnaroundSimulation.deserialize(this.serialize());
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * Passenger population profile presets index
+ */
+
+import standard from './standard.json';
+import businessCommuter from './business-commuter.json';
+import leisureFamily from './leisure-family.json';
+import ultraLowCost from './ultra-low-cost.json';
+
+export const populationProfiles = {
+    [standard.id]: standard,
+    [businessCommuter.id]: businessCommuter,
+    [leisureFamily.id]: leisureFamily,
+    [ultraLowCost.id]: ultraLowCost,
+};
+
+export const populationProfileList = [standard, businessCommuter, leisureFamily, ultraLowCost];
+
+export default populationProfiles;
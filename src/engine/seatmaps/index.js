@@ -0,0 +1,21 @@
+/**
+ * Aircraft seat-map presets index
+ */
+
+import a320 from './a320.json';
+import b737800 from './b737-800.json';
+import a321neo from './a321neo.json';
+import e190 from './e190.json';
+import crj900 from './crj900.json';
+
+export const seatMaps = {
+    [a320.id]: a320,
+    [b737800.id]: b737800,
+    [a321neo.id]: a321neo,
+    [e190.id]: e190,
+    [crj900.id]: crj900,
+};
+
+export const seatMapList = [a320, b737800, a321neo, e190, crj900];
+
+export default seatMaps;
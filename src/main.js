@@ -4,18 +4,146 @@
  */
 
 import { RandomGenerator } from './engine/RandomGenerator.js';
-import { Aircraft } from './engine/Aircraft.js';
-import { generatePassengers } from './engine/Passenger.js';
-import { Simulation } from './engine/Simulation.js';
+import { Aircraft, CABIN_LAYOUTS } from './engine/Aircraft.js';
+import { generatePassengers, GroupType, CarryOnSize, DEFAULT_TIMING } from './engine/Passenger.js';
+import { Distribution } from './engine/Distributions.js';
+import { ObstacleType } from './engine/Obstacles.js';
+import { parsePopulationProfile, passengerCountFor } from './engine/Population.js';
+import { Simulation, ArrivalProcess, GateBagPolicy } from './engine/Simulation.js';
+import { DeplaningSimulation } from './engine/DeplaningSimulation.js';
+import { EvacuationSimulation } from './engine/EvacuationSimulation.js';
+import { TurnaroundSimulation } from './engine/TurnaroundSimulation.js';
+import { seatMaps } from './engine/seatmaps/index.js';
+import { populationProfiles } from './engine/populations/index.js';
 // Replace old renderer import with the new modular ones
 import { BlueprintRenderer } from './visualization/renderers/BlueprintRenderer.js';
 
 import { Timeline } from './visualization/Timeline.js';
+import { SnapshotStore } from './visualization/SnapshotStore.js';
 import { algorithmList } from './algorithms/presets/index.js';
+import { deplaningAlgorithms, deplaningAlgorithmList } from './algorithms/deplaning/index.js';
 import { GeneticOptimizer } from './algorithms/GeneticOptimizer.js';
-import { createAlgorithmContext } from './algorithms/AlgorithmRunner.js';
+import { createAlgorithmContext, runAlgorithm, runDeplaningAlgorithm } from './algorithms/AlgorithmRunner.js';
 import { calculateMetrics, formatTime, formatMetricDiff } from './metrics/MetricsCalculator.js';
-import { analyzeDelayCauses, generateSummaryExplanation } from './metrics/ExplanationEngine.js';
+import { analyzeDelayCauses, generateSummaryExplanation, explainEvacuation } from './metrics/ExplanationEngine.js';
+
+// Share of passengers travelling in each kind of group ('profile' uses the passenger profile's)
+const GROUP_MIXES = {
+    profile: undefined,
+    none: {},
+    typical: { [GroupType.COUPLE]: 0.2, [GroupType.FAMILY]: 0.1, [GroupType.BUSINESS]: 0.1 },
+    leisure: { [GroupType.COUPLE]: 0.3, [GroupType.FAMILY]: 0.3 },
+    business: { [GroupType.COUPLE]: 0.05, [GroupType.BUSINESS]: 0.3 },
+};
+
+// Stow and in-seat shuffle durations ('profile' uses the passenger profile's),
+// and how much a filling bin slows stowing down
+const TIMING_MODELS = {
+    profile: { timing: null, binFillSlowdown: 0 },
+    fixed: { timing: DEFAULT_TIMING, binFillSlowdown: 0 },
+    lognormal: {
+        timing: {
+            stowTime: {
+                [CarryOnSize.SMALL]: { type: Distribution.LOG_NORMAL, median: 3, sigma: 0.4 },
+                [CarryOnSize.LARGE]: { type: Distribution.LOG_NORMAL, median: 8, sigma: 0.45 },
+            },
+            shuffleTime: { type: Distribution.LOG_NORMAL, median: 3, sigma: 0.35 },
+        },
+        binFillSlowdown: 0.5,
+    },
+    triangular: {
+        timing: {
+            stowTime: {
+                [CarryOnSize.SMALL]: { type: Distribution.TRIANGULAR, min: 1, mode: 3, max: 7 },
+                [CarryOnSize.LARGE]: { type: Distribution.TRIANGULAR, min: 4, mode: 7, max: 16 },
+            },
+            shuffleTime: { type: Distribution.TRIANGULAR, min: 2, mode: 3, max: 6 },
+        },
+        binFillSlowdown: 0.5,
+    },
+};
+
+// Prefixes for the editable passenger profile weights
+const POPULATION_FIELD_LABELS = {
+    walkSpeed: 'Walk',
+    carryOnSize: 'Bag',
+    compliance: 'Compliance',
+    groupMix: 'Groups',
+    boardingGroups: 'Pre-board',
+};
+
+// When passengers reach the gate, and how many never do
+const ARRIVAL_PROFILES = {
+    'on-time': {},
+    poisson: { arrivalProcess: ArrivalProcess.POISSON },
+    curve: { arrivalProcess: ArrivalProcess.EMPIRICAL },
+    stragglers: { arrivalProcess: ArrivalProcess.EMPIRICAL, stragglerRate: 0.05, noShowRate: 0.03 },
+};
+
+// How passengers get from the terminal to the aircraft door
+const GATE_PROCESSES = {
+    instant: {},
+    'one-agent': { gateModel: true, gateAgents: 1 },
+    'two-agents': { gateModel: true, gateAgents: 2 },
+    'remote-stand': { remoteStand: true },
+    'remote-stand-sorted': { remoteStand: true, sortedBuses: true },
+};
+
+// Scripted crew and carts in the aisle (see Obstacles.js), in time steps,
+// placed mid-cabin whatever its length
+const attendant = (rows) => ({ id: 'attendant', type: ObstacleType.CREW, from: 0, to: Math.ceil(rows / 2), start: 60, hold: 40 });
+const cateringCart = (rows) => {
+    const first = Math.max(1, Math.ceil(rows / 3));
+    return { id: 'cart', type: ObstacleType.CART, rows: [first, Math.min(rows, first + 2)], start: 90, end: 210 };
+};
+const CREW_SCENARIOS = {
+    none: () => [],
+    attendant: (rows) => [attendant(rows)],
+    cart: (rows) => [cateringCart(rows)],
+    both: (rows) => [attendant(rows), cateringCart(rows)],
+};
+
+// Carry-ons the gate agents send to the hold
+const GATE_BAG_POLICIES = {
+    none: {},
+    'large-after': { gateBagPolicy: GateBagPolicy.LARGE_AFTER },
+    'last-zone': { gateBagPolicy: GateBagPolicy.LAST_ZONE },
+    'one-bag': { gateBagPolicy: GateBagPolicy.ONE_BAG },
+};
+
+// Exits out of use in an evacuation: front or rear doors, or those in between
+const BLOCKED_EXITS = {
+    none: () => [],
+    front: (aircraft) => aircraft.exits.filter(exit => exit.aisleRow === 0).map(exit => exit.id),
+    rear: (aircraft) => aircraft.exits.filter(exit => exit.aisleRow > aircraft.rows).map(exit => exit.id),
+    'mid-cabin': (aircraft) => aircraft.exits
+        .filter(exit => exit.aisleRow > 0 && exit.aisleRow <= aircraft.rows)
+        .map(exit => exit.id),
+};
+
+// The only choice in an evacuation: nobody is held back, so there is no
+// order to pick, tune or edit
+const EVACUATION_ALGORITHM = {
+    id: 'everyoneAtOnce',
+    name: 'Everyone at once',
+    description: 'On the alarm every passenger stands up and heads for the nearest open exit. There is no release order to choose in an evacuation.',
+    fixed: true,
+};
+
+// Simulation run in each mode (turnarounds also need the arriving passengers)
+const SIMULATIONS = {
+    boarding: Simulation,
+    deplaning: DeplaningSimulation,
+    evacuation: EvacuationSimulation,
+};
+
+// Room passengers take up in the aisle
+const AISLE_SPACINGS = {
+    shoulder: {},
+    bags: { bagFootprint: 1.5 },
+    distancing: { aisleHeadway: 1 },
+    'distancing-bags': { aisleHeadway: 1, bagFootprint: 1.5 },
+};
 
 class BoardingLab {
     constructor() {
@@ -26,8 +154,9 @@ class BoardingLab {
         this.simulation = null;
         this.renderer = null;
         this.timeline = null;
+        this.mode = 'boarding';
         this.selectedAlgorithm = algorithmList[0];
-        this.snapshots = [];
+        this.snapshots = new SnapshotStore();
 
         // DOM elements
         this.elements = {};
@@ -41,6 +170,7 @@ class BoardingLab {
         this.setupEventListeners();
         this.loadSavedAlgorithms(); // Load from localStorage
         this.renderAlgorithmList();
+        this.renderPopulationFields();
         this.initRenderer();
         this.initTimeline();
 
@@ -56,6 +186,27 @@ class BoardingLab {
             passengerCount: document.getElementById('passenger-count'),
             passengerCountValue: document.getElementById('passenger-count-value'),
             seed: document.getElementById('seed'),
+            boardingDoor: document.getElementById('boarding-door'),
+            cabinLayout: document.getElementById('cabin-layout'),
+            aircraftType: document.getElementById('aircraft-type'),
+            mode: document.getElementById('mode'),
+            population: document.getElementById('population'),
+            populationFields: document.getElementById('population-fields'),
+            travelGroups: document.getElementById('travel-groups'),
+            groupBoarding: document.getElementById('group-boarding'),
+            compliance: document.getElementById('compliance'),
+            gateProcess: document.getElementById('gate-process'),
+            zoneCalls: document.getElementById('zone-calls'),
+            arrivals: document.getElementById('arrivals'),
+            actionTimes: document.getElementById('action-times'),
+            aisleSpacing: document.getElementById('aisle-spacing'),
+            crewScenario: document.getElementById('crew-scenario'),
+            gateBagPolicy: document.getElementById('gate-bag-policy'),
+            blockedExits: document.getElementById('blocked-exits'),
+            cleaningTime: document.getElementById('cleaning-time'),
+            turnaroundDeplaning: document.getElementById('turnaround-deplaning'),
+            seatAssignment: document.getElementById('seat-assignment'),
+            seating: document.getElementById('seating'),
             runBtn: document.getElementById('run-btn'),
 
             canvas: document.getElementById('aircraft-canvas'),
@@ -64,6 +215,7 @@ class BoardingLab {
             stepBackBtn: document.getElementById('step-back-btn'),
             stepForwardBtn: document.getElementById('step-forward-btn'),
             timelineSlider: document.getElementById('timeline'),
+            timelineMarkers: document.getElementById('timeline-markers'),
             timeDisplay: document.getElementById('time-display'),
             speedSelect: document.getElementById('speed'),
 
@@ -71,7 +223,17 @@ class BoardingLab {
             metricAisleBlocked: document.getElementById('metric-aisle-blocked'),
             metricAvgWait: document.getElementById('metric-avg-wait'),
             metricWorstDelay: document.getElementById('metric-worst-delay'),
-            metricWorstDelay: document.getElementById('metric-worst-delay'),
+            metricQueueDeviation: document.getElementById('metric-queue-deviation'),
+            metricGateLimited: document.getElementById('metric-gate-limited'),
+            metricAisleLimited: document.getElementById('metric-aisle-limited'),
+            metricLateArrival: document.getElementById('metric-late-arrival'),
+            metricCongestion: document.getElementById('metric-congestion'),
+            metricPreBoarding: document.getElementById('metric-pre-boarding'),
+            metricGeneralWait: document.getElementById('metric-general-wait'),
+            metricCrewDelay: document.getElementById('metric-crew-delay'),
+            metricGateChecked: document.getElementById('metric-gate-checked'),
+            metricEvacuation: document.getElementById('metric-evacuation'),
+            metricPhases: document.getElementById('metric-phases'),
             explanationText: document.getElementById('explanation-text'),
 
 
@@ -92,6 +254,29 @@ class BoardingLab {
             this.elements.passengerCountValue.textContent = e.target.value;
         });
 
+        // Passenger population profile
+        this.elements.population.addEventListener('change', () => this.selectPopulation());
+
+        // Boarding / deplaning mode
+        this.elements.mode.addEventListener('change', (e) => this.setMode(e.target.value));
+
+        // Boarding door(s)
+        this.elements.boardingDoor.addEventListener('change', (e) => {
+            this.updateAircraft({ boardingDoor: e.target.value.split(',') });
+        });
+
+        // Real aircraft seat map (generic cabins use the cabin layout)
+        this.elements.aircraftType.addEventListener('change', (e) => {
+            const seatMap = seatMaps[e.target.value] ?? null;
+            this.elements.cabinLayout.disabled = seatMap !== null;
+            this.updateAircraft({ seatMap });
+        });
+
+        // Cabin cross-section
+        this.elements.cabinLayout.addEventListener('change', (e) => {
+            this.updateAircraft(CABIN_LAYOUTS[e.target.value]);
+        });
+
         // Run button
         this.elements.runBtn.addEventListener('click', () => this.runSimulation());
 
@@ -130,11 +315,122 @@ class BoardingLab {
         });
     }
 
+    /**
+     * Algorithm presets for the current mode
+     */
+    getAlgorithmList() {
+        if (this.mode === 'evacuation') return [EVACUATION_ALGORITHM];
+        return this.mode === 'boarding' || this.mode === 'turnaround' ? algorithmList : deplaningAlgorithmList;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.selectedAlgorithm = this.getAlgorithmList()[0];
+        this.elements.advancedToggle.disabled = Boolean(this.selectedAlgorithm.fixed);
+        this.renderAlgorithmList();
+        this.updateAlgorithmDescription();
+    }
+
+    /**
+     * Switch passenger profile: show its weights and fill the cabin to its load factor
+     */
+    selectPopulation() {
+        this.renderPopulationFields();
+
+        const profile = this.getPopulation();
+        const slider = this.elements.passengerCount;
+        slider.value = Math.min(passengerCountFor(profile, this.aircraft.totalSeats), parseInt(slider.max));
+        this.elements.passengerCountValue.textContent = slider.value;
+    }
+
+    /**
+     * Show the selected profile's weights as editable percentages
+     */
+    renderPopulationFields() {
+        const container = this.elements.populationFields;
+        container.innerHTML = '';
+
+        const profile = parsePopulationProfile(populationProfiles[this.elements.population.value]);
+        const fields = [
+            ...['walkSpeed', 'carryOnSize', 'compliance'].flatMap(attribute =>
+                Object.entries(profile[attribute]).map(([value, weight]) => [attribute, value, weight])),
+            ...['groupMix', 'boardingGroups'].flatMap(attribute =>
+                Object.entries(profile[attribute]).map(([value, share]) => [attribute, value, Math.round(share * 100)])),
+            ['loadFactor', null, Math.round(profile.loadFactor * 100)],
+        ];
+
+        for (const [attribute, value, percent] of fields) {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const id = `population-${attribute}-${value ?? 'value'}`;
+            const label = document.createElement('label');
+            label.textContent = value === null ? 'Load factor' : `${POPULATION_FIELD_LABELS[attribute]}: ${value}`;
+            label.htmlFor = id;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = id;
+            input.value = percent;
+            input.min = 0;
+            input.max = 100;
+            input.dataset.attribute = attribute;
+            if (value !== null) input.dataset.value = value;
+
+            group.appendChild(label);
+            group.appendChild(input);
+            container.appendChild(group);
+        }
+    }
+
+    /**
+     * Selected passenger profile with any edits made in the profile fields,
+     * and the selected stow and shuffle durations
+     * @returns {Object} Parsed population profile
+     */
+    getPopulation() {
+        const { timing } = TIMING_MODELS[this.elements.actionTimes.value];
+        const spec = { ...populationProfiles[this.elements.population.value], ...(timing && { timing }) };
+        for (const attribute of ['walkSpeed', 'carryOnSize', 'compliance', 'groupMix', 'boardingGroups']) spec[attribute] = {};
+
+        const inputs = this.elements.populationFields.querySelectorAll('input[data-attribute]');
+        inputs.forEach(input => {
+            const percent = parseFloat(input.value);
+            const { attribute, value } = input.dataset;
+            if (attribute === 'loadFactor') {
+                spec.loadFactor = percent / 100;
+            } else {
+                spec[attribute][value] = attribute === 'groupMix' || attribute === 'boardingGroups' ? percent / 100 : percent;
+            }
+        });
+
+        return parsePopulationProfile(spec);
+    }
+
+    /**
+     * Rebuild the aircraft with updated configuration
+     * @param {Object} changes - Aircraft config overrides
+     */
+    updateAircraft(changes) {
+        this.aircraft = new Aircraft({ ...this.aircraft.config, ...changes });
+
+        // Keep passenger count within the cabin
+        const slider = this.elements.passengerCount;
+        slider.max = this.aircraft.totalSeats;
+        if (parseInt(slider.value) > this.aircraft.totalSeats) {
+            slider.value = this.aircraft.totalSeats;
+            this.elements.passengerCountValue.textContent = slider.value;
+        }
+
+        this.initRenderer();
+        this.renderer.render(null);
+    }
+
     renderAlgorithmList() {
         const container = this.elements.algorithmSelector;
         container.innerHTML = '';
 
-        algorithmList.forEach((algo, index) => {
+        this.getAlgorithmList().forEach((algo, index) => {
             const btn = document.createElement('button');
             btn.className = `algorithm-btn${index === 0 ? ' active' : ''}`;
             if (this.selectedAlgorithm && this.selectedAlgorithm.id === algo.id) {
@@ -149,7 +445,7 @@ class BoardingLab {
         <span class="algo-name">${nameDisplay}</span>
         <div class="algo-actions">
            ${algo.isModified ? '<span class="revert-icon" title="Revert to default">↩️</span>' : ''}
-           <span class="edit-icon" title="Edit code">✏️</span>
+           ${algo.fixed ? '' : '<span class="edit-icon" title="Edit code">✏️</span>'}
         </div>
       `;
             btn.title = algo.description;
@@ -206,9 +502,10 @@ class BoardingLab {
         if (!original) return;
 
         // Update in global list
-        const idx = algorithmList.findIndex(a => a.id === modifiedAlgo.id);
+        const list = this.getAlgorithmList();
+        const idx = list.findIndex(a => a.id === modifiedAlgo.id);
         if (idx !== -1) {
-            algorithmList[idx] = original;
+            list[idx] = original;
         }
 
         // Re-render
@@ -223,7 +520,7 @@ class BoardingLab {
      */
     saveAlgorithms() {
         try {
-            const modified = algorithmList
+            const modified = [...algorithmList, ...deplaningAlgorithmList]
                 .filter(a => a.isModified)
                 .map(a => ({
                     id: a.id,
@@ -245,16 +542,18 @@ class BoardingLab {
 
             const savedAlgorithms = JSON.parse(savedData);
             savedAlgorithms.forEach(saved => {
-                const idx = algorithmList.findIndex(a => a.id === saved.id);
-                if (idx !== -1) {
-                    const original = algorithmList[idx];
+                const list = [algorithmList, deplaningAlgorithmList]
+                    .find(l => l.some(a => a.id === saved.id));
+                if (list) {
+                    const idx = list.findIndex(a => a.id === saved.id);
+                    const original = list[idx];
                     const updated = {
                         ...original,
                         ...saved,
                         baseAlgorithm: original,
                         createPriorityFn: (params, rng) => this._createDynamicPriorityFn(saved.code, params)
                     };
-                    algorithmList[idx] = updated;
+                    list[idx] = updated;
 
                     // Sync selectedAlgorithm reference if it matches
                     if (this.selectedAlgorithm && this.selectedAlgorithm.id === saved.id) {
@@ -378,7 +677,13 @@ class BoardingLab {
         btn.innerHTML = '<span class="icon animate-pulse">🧬</span> Evolving... 0%';
 
         try {
-            const optimizer = new GeneticOptimizer(this.aircraft, this.selectedAlgorithm);
+            const optimizer = new GeneticOptimizer(this.aircraft, this.selectedAlgorithm, {
+                population: this.getPopulation(),
+                passengerCount: parseInt(this.elements.passengerCount.value),
+                seatAssignment: this.elements.seatAssignment.value,
+                groupMix: GROUP_MIXES[this.elements.travelGroups.value],
+                options: this._getSimulationOptions(this.aircraft),
+            });
 
             // Run optimization
             const bestWeights = await optimizer.optimize((percent, best) => {
@@ -434,6 +739,7 @@ class BoardingLab {
     _executeSimulation() {
         // Get settings
         const passengerCount = parseInt(this.elements.passengerCount.value);
+        const population = this.getPopulation();
         const seed = parseInt(this.elements.seed.value);
 
         // 1. Run Baseline (if modified)
@@ -443,19 +749,11 @@ class BoardingLab {
             this.rng.setSeed(seed); // Same seed
 
             // Create passengers for baseline
-            const baselinePassengers = generatePassengers({
-                count: passengerCount,
-                rows: new Aircraft().rows, // Default rows
-                columns: new Aircraft().columns,
-                rng: this.rng,
-            });
-            const baselineAircraft = new Aircraft(); // New aircraft instance
+            const baselineAircraft = new Aircraft(this.aircraft.config); // New aircraft instance
+            const baselinePassengers = this._generatePassengers(baselineAircraft, passengerCount, population);
 
             // Setup baseline simulation
-            const baselineSim = new Simulation({
-                passengers: baselinePassengers,
-                aircraft: baselineAircraft
-            });
+            const baselineSim = this._createSimulation(baselinePassengers, baselineAircraft, population);
 
             // Get baseline priority function
             const params = this.getAlgorithmParams();
@@ -477,16 +775,12 @@ class BoardingLab {
             const context = {
                 totalRows: baselineAircraft.rows,
                 totalPassengers: baselinePassengers.length,
-                columns: baselineAircraft.columns
+                columns: baselineAircraft.columns,
+                doors: baselineAircraft.doors.map(d => d.id),
+                doorRows: Object.fromEntries(baselineAircraft.doors.map(d => [d.id, d.aisleRow])),
             };
 
-            const passengerContexts = baselinePassengers.map(p => ({
-                id: p.id,
-                priority: basePriorityFn(p.toContext(), context)
-            }));
-            passengerContexts.sort((a, b) => b.priority - a.priority);
-
-            baselineSim.setBoardingOrder(passengerContexts.map(p => p.id));
+            this._applyAlgorithmOrder(baselineSim, basePriorityFn, baselinePassengers, context);
             baselineSim.runToCompletion();
             // We get raw metrics here, formatted ones come from MetricsCalculator
             baselineMetrics = baselineSim.getMetrics();
@@ -500,31 +794,27 @@ class BoardingLab {
         this.aircraft.reset();
 
         // Generate passengers
-        this.passengers = generatePassengers({
-            count: passengerCount,
-            rows: this.aircraft.rows,
-            columns: this.aircraft.columns,
-            rng: this.rng,
-        });
+        this.passengers = this._generatePassengers(this.aircraft, passengerCount, population);
 
         // Create simulation
-        this.simulation = new Simulation({
-            passengers: this.passengers,
-            aircraft: this.aircraft,
-        });
+        this.simulation = this._createSimulation(this.passengers, this.aircraft, population);
 
         // Create algorithm context
         const context = createAlgorithmContext({
             totalRows: this.aircraft.rows,
             totalPassengers: this.passengers.length,
             columns: this.aircraft.columns,
+            doors: this.aircraft.doors.map(d => d.id),
+            doorRows: Object.fromEntries(this.aircraft.doors.map(d => [d.id, d.aisleRow])),
         });
 
         // Get priority function with params
         const params = this.getAlgorithmParams();
 
-        let priorityFn;
-        if (this.selectedAlgorithm.isModified) {
+        let priorityFn = null;
+        if (this.selectedAlgorithm.fixed) {
+            // Nothing to order (evacuation)
+        } else if (this.selectedAlgorithm.isModified) {
             // For modified, we already generated the function
             priorityFn = this.selectedAlgorithm.createPriorityFn(params, this.rng);
         } else {
@@ -534,35 +824,22 @@ class BoardingLab {
                 : this._compilePriorityFn();
         }
 
-        // Sort passengers by priority
-        const passengerContexts = this.passengers.map(p => ({
-            id: p.id,
-            priority: priorityFn(p.toContext(), context)
-        }));
-        passengerContexts.sort((a, b) => b.priority - a.priority);
-        const boardingOrder = passengerContexts.map(p => p.id);
+        // Order passengers by priority
+        this._applyAlgorithmOrder(this.simulation, priorityFn, this.passengers, context);
 
-        // Set boarding order
-        this.simulation.setBoardingOrder(boardingOrder);
-
-        // Record snapshots
-        this.snapshots = [];
-        this.snapshots.push(this.simulation.getSnapshot());
+        // Record snapshots (keyframes plus per-step changes)
+        this.snapshots = new SnapshotStore();
+        this.snapshots.record(this.simulation);
 
         // Run simulation step by step
         while (this.simulation.step()) {
-            this.snapshots.push(this.simulation.getSnapshot());
+            this.snapshots.record(this.simulation);
         }
-        this.snapshots.push(this.simulation.getSnapshot()); // Final state
-
-        console.log('Simulation complete:', {
-            totalSnapshots: this.snapshots.length,
-            firstSnapshot: this.snapshots[0],
-            lastSnapshot: this.snapshots[this.snapshots.length - 1],
-        });
+        this.snapshots.record(this.simulation); // Final state
 
         // Load into timeline
         this.timeline.loadSnapshots(this.snapshots);
+        this._renderTimelineMarkers();
 
         // Calculate and display metrics
         this._updateMetrics(baselineMetrics);
@@ -571,6 +848,99 @@ class BoardingLab {
         this.timeline.play();
     }
 
+    /**
+     * Passengers for a run, from the current profile and seating settings
+     */
+    _generatePassengers(aircraft, count, population) {
+        return generatePassengers({
+            count,
+            rows: aircraft.rows,
+            columns: aircraft.columns,
+            aislePositions: aircraft.aislePositions,
+            rng: this.rng,
+            doors: aircraft.doors,
+            seats: aircraft.getSeatList(),
+            population,
+            groupMix: GROUP_MIXES[this.elements.travelGroups.value],
+            seatAssignment: this.elements.seatAssignment.value,
+        });
+    }
+
+    /**
+     * Mark where each phase starts on the timeline slider
+     */
+    _renderTimelineMarkers() {
+        const container = this.elements.timelineMarkers;
+        container.innerHTML = '';
+        for (const { phase, percent } of this.timeline.getMarkers()) {
+            const marker = document.createElement('span');
+            marker.className = 'timeline-marker';
+            marker.style.left = `${percent}%`;
+            marker.textContent = phase;
+            container.appendChild(marker);
+        }
+    }
+
+    /**
+     * Create a boarding, deplaning, evacuation or turnaround simulation for the current mode
+     */
+    _createSimulation(passengers, aircraft, population) {
+        const options = this._getSimulationOptions(aircraft);
+
+        if (this.mode === 'turnaround') {
+            // The inbound flight arrives as full as the outbound one leaves
+            const arrivingPassengers = this._generatePassengers(aircraft, passengers.length, population);
+            return new TurnaroundSimulation({ arrivingPassengers, passengers, aircraft, options, rng: this.rng });
+        }
+        return new SIMULATIONS[this.mode]({ passengers, aircraft, options, rng: this.rng });
+    }
+
+    /**
+     * Simulation options picked in the sidebar
+     * @param {Aircraft} aircraft
+     */
+    _getSimulationOptions(aircraft) {
+        return {
+            keepGroupsTogether: this.elements.groupBoarding.value === 'together',
+            queueDeviation: this.elements.compliance.value === 'realistic',
+            ...GATE_PROCESSES[this.elements.gateProcess.value],
+            zoneCalls: parseInt(this.elements.zoneCalls.value, 10),
+            ...ARRIVAL_PROFILES[this.elements.arrivals.value],
+            binFillSlowdown: TIMING_MODELS[this.elements.actionTimes.value].binFillSlowdown,
+            ...AISLE_SPACINGS[this.elements.aisleSpacing.value],
+            obstacles: CREW_SCENARIOS[this.elements.crewScenario.value](aircraft.rows),
+            ...GATE_BAG_POLICIES[this.elements.gateBagPolicy.value],
+            openSeating: this.elements.seating.value === 'open',
+            blockedExits: BLOCKED_EXITS[this.elements.blockedExits.value](aircraft),
+            cleaningTime: parseInt(this.elements.cleaningTime.value, 10),
+        };
+    }
+
+    /**
+     * Apply the algorithm's priorities to a simulation:
+     * a boarding queue, or release waves when deplaning
+     * (a turnaround's arriving flight leaves by the deplaning preset chosen for it)
+     */
+    _applyAlgorithmOrder(simulation, priorityFn, passengers, context) {
+        if (this.mode === 'evacuation') {
+            // Everyone leaves at once
+            return;
+        } else if (this.mode === 'deplaning') {
+            simulation.setDeplaningOrder(runDeplaningAlgorithm(priorityFn, passengers, context));
+        } else {
+            if (this.mode === 'turnaround') {
+                const deplaning = deplaningAlgorithms[this.elements.turnaroundDeplaning.value];
+                simulation.setDeplaningOrder(runDeplaningAlgorithm(
+                    deplaning.createPriorityFn({}, this.rng), simulation.arrivingPassengers, context));
+            }
+
+            // Pre-boarders are called first whatever the algorithm says
+            const preBoarders = new Set(simulation.getPreBoardingOrder());
+            const general = passengers.filter(passenger => !preBoarders.has(passenger.id));
+            simulation.setBoardingOrder(runAlgorithm(priorityFn, general, context));
+        }
+    }
+
     _compilePriorityFn() {
         // Fallback: use the code string
         const code = this.selectedAlgorithm.code;
@@ -586,14 +956,38 @@ class BoardingLab {
             ['totalTime', this.elements.metricTotalTime],
             ['aisleBlockedPercent', this.elements.metricAisleBlocked],
             ['avgWaitTime', this.elements.metricAvgWait],
-            ['maxWaitTime', this.elements.metricWorstDelay]
+            ['maxWaitTime', this.elements.metricWorstDelay],
+            ['queueDeviation', this.elements.metricQueueDeviation],
+            ['gateLimitedPercent', this.elements.metricGateLimited],
+            ['aisleLimitedPercent', this.elements.metricAisleLimited],
+            ['lateArrivalTime', this.elements.metricLateArrival],
+            ['congestionTime', this.elements.metricCongestion],
+            ['preBoardingTime', this.elements.metricPreBoarding],
+            ['generalWaitTime', this.elements.metricGeneralWait],
+            ['obstacleDelay', this.elements.metricCrewDelay],
+            ['gateCheckedBags', this.elements.metricGateChecked],
         ];
 
+        // Evacuation: the cabin cleared within the target, or how many got out by then
+        this.elements.metricEvacuation.textContent = metrics.evacuationTarget === undefined
+            ? '--'
+            : metrics.clearedInTime
+                ? 'Cleared'
+                : `${metrics.evacuatedByTarget} of ${metrics.totalPassengers} out`;
+
+        // Turnaround: time spent in each phase
+        const { phases } = metrics;
+        this.elements.metricPhases.textContent = phases
+            ? Object.values(phases).map(phase => phase.totalTimeFormatted).join(' / ')
+            : '--';
+
         updates.forEach(([key, element]) => {
             let valueStr = '';
             // Get formatted string
             if (key === 'totalTime') valueStr = metrics.totalTimeFormatted;
-            else if (key === 'aisleBlockedPercent') valueStr = `${metrics.aisleBlockedPercent}%`;
+            else if (key.endsWith('Percent')) valueStr = `${metrics[key]}%`;
+            else if (key === 'queueDeviation') valueStr = `${metrics.queueDeviation} pos`;
+            else if (key === 'gateCheckedBags') valueStr = `${metrics.gateCheckedBags} bags`;
             else valueStr = `${metrics[key]} sec`;
 
             // Add diff if baseline exists
@@ -612,7 +1006,9 @@ class BoardingLab {
             this.simulation.getEvents(),
             metrics
         );
-        const explanation = generateSummaryExplanation(causes, this.selectedAlgorithm.name);
+        const explanation = this.mode === 'evacuation'
+            ? explainEvacuation(metrics, causes)
+            : generateSummaryExplanation(causes, this.selectedAlgorithm.name);
         this.elements.explanationText.textContent = explanation;
     }
 
@@ -656,8 +1052,8 @@ class BoardingLab {
             const testResult = testFn({
                 id: 1, row: 15, column: 'C', seatClass: 'aisle',
                 walkSpeed: 'normal', carryOnSize: 'small', compliance: 'normal',
-                groupId: null, seatsToPass: 0
-            }, { totalRows: 30, totalPassengers: 150, columns: ['A', 'B', 'C', 'D', 'E', 'F'] });
+                groupId: null, seatsToPass: 0, aisle: 0, door: 'front'
+            }, createAlgorithmContext({ totalRows: 30, totalPassengers: 150, columns: ['A', 'B', 'C', 'D', 'E', 'F'] }));
 
             if (typeof testResult !== 'number' || !Number.isFinite(testResult)) {
                 throw new Error('Priority function must return a finite number');
@@ -677,9 +1073,10 @@ class BoardingLab {
             };
 
             // Update in global list
-            const idx = algorithmList.findIndex(a => a.id === this.selectedAlgorithm.id);
+            const list = this.getAlgorithmList();
+            const idx = list.findIndex(a => a.id === this.selectedAlgorithm.id);
             if (idx !== -1) {
-                algorithmList[idx] = newAlgo;
+                list[idx] = newAlgo;
             }
             this.selectedAlgorithm = newAlgo;
 
@@ -4,7 +4,7 @@
  * and generate natural-language explanations
  */
 
-import { EventType } from '../engine/Simulation.js';
+import { EventType, PLAYBACK_EVENT_TYPES } from '../engine/Simulation.js';
 
 /**
  * Delay cause types
@@ -14,6 +14,7 @@ export const DelayCause = {
     BIN_OVERFLOW: 'bin_overflow',
     SEAT_SHUFFLE: 'seat_shuffle',
     SLOW_STOWING: 'slow_stowing',
+    CREW_OBSTACLE: 'crew_obstacle',
 };
 
 /**
@@ -47,7 +48,9 @@ export function analyzeDelayCauses(events, metrics) {
             .slice(0, 3)
             .map(([row, count]) => ({ row: parseInt(row), count }));
 
-        const blockingPercent = (aisleBlockedEvents.length / events.length * 100).toFixed(1);
+        // Share of the passenger events, leaving out those recorded for playback only
+        const passengerEvents = events.filter(e => !PLAYBACK_EVENT_TYPES.has(e.type)).length;
+        const blockingPercent = (aisleBlockedEvents.length / passengerEvents * 100).toFixed(1);
 
         causes.push({
             type: DelayCause.AISLE_CONGESTION,
@@ -65,6 +68,7 @@ export function analyzeDelayCauses(events, metrics) {
     const binFullEvents = events.filter(e => e.type === EventType.BIN_FULL);
     if (binFullEvents.length > 0) {
         const rowsAffected = [...new Set(binFullEvents.map(e => e.row))];
+        const gateChecked = events.filter(e => e.type === EventType.GATE_CHECK).length;
 
         causes.push({
             type: DelayCause.BIN_OVERFLOW,
@@ -72,8 +76,10 @@ export function analyzeDelayCauses(events, metrics) {
             details: {
                 count: binFullEvents.length,
                 rows: rowsAffected,
+                searched: events.filter(e => e.type === EventType.BIN_SEARCH).length,
+                gateChecked,
             },
-            explanation: generateBinOverflowExplanation(rowsAffected),
+            explanation: generateBinOverflowExplanation(rowsAffected, gateChecked),
         });
     }
 
@@ -93,13 +99,40 @@ export function analyzeDelayCauses(events, metrics) {
         });
     }
 
+    // Analyze crew and carts in the aisle
+    const obstacleEvents = events.filter(e => e.type === EventType.OBSTACLE_BLOCKED);
+    if (obstacleEvents.length > 0) {
+        const obstacleIds = [...new Set(obstacleEvents.map(e => e.obstacleId))];
+        const passengersHeld = new Set(obstacleEvents.map(passengerKey)).size;
+        const firstBlocked = obstacleEvents[0].step;
+        // Knock-on: passengers queued behind someone after the first obstacle hit
+        const knockOn = events.filter(e => e.type === EventType.AISLE_BLOCKED && e.step >= firstBlocked).length;
+
+        causes.push({
+            type: DelayCause.CREW_OBSTACLE,
+            severity: obstacleEvents.length > 50 ? 'high' : 'medium',
+            details: {
+                count: obstacleEvents.length,
+                passengers: passengersHeld,
+                obstacles: obstacleIds,
+                knockOn,
+            },
+            explanation: generateObstacleExplanation(obstacleIds.length, passengersHeld, obstacleEvents.length, knockOn),
+        });
+    }
+
     // Analyze stowing time
+    // Each passenger's first stow end, indexed once rather than searched for per stow
+    const stowEnds = new Map();
+    for (const event of events) {
+        if (event.type === EventType.STOW_END && !stowEnds.has(passengerKey(event))) {
+            stowEnds.set(passengerKey(event), event);
+        }
+    }
+
     const stowEvents = events.filter(e => e.type === EventType.STOW_START);
     const totalStowTime = stowEvents.reduce((sum, e) => {
-        const endEvent = events.find(
-            end => end.type === EventType.STOW_END &&
-                end.passengerId === e.passengerId
-        );
+        const endEvent = stowEnds.get(passengerKey(e));
         return sum + (endEvent ? endEvent.step - e.step : 0);
     }, 0);
 
@@ -126,6 +159,14 @@ export function analyzeDelayCauses(events, metrics) {
     return causes.slice(0, 2); // Return top 2 causes
 }
 
+/**
+ * Key for the passenger an event is about (a turnaround's two flights
+ * share passenger ids, so its events are told apart by phase)
+ */
+function passengerKey(event) {
+    return event.phase === undefined ? event.passengerId : `${event.phase}-${event.passengerId}`;
+}
+
 /**
  * Generate explanation for aisle congestion
  */
@@ -140,13 +181,16 @@ function generateAisleCongestionExplanation(topRows, percent) {
 /**
  * Generate explanation for bin overflow
  */
-function generateBinOverflowExplanation(rows) {
+function generateBinOverflowExplanation(rows, gateChecked) {
     const rowRange = rows.length > 2
         ? `rows ${Math.min(...rows)}–${Math.max(...rows)}`
         : `row${rows.length > 1 ? 's' : ''} ${rows.join(' and ')}`;
+    const gateCheckNote = gateChecked > 0
+        ? ` ${gateChecked} bag${gateChecked > 1 ? 's were' : ' was'} gate-checked.`
+        : '';
 
     return `Overhead bins filled up in ${rowRange}, forcing passengers to search ` +
-        `for space elsewhere, adding extra delay.`;
+        `for space elsewhere, adding extra delay.${gateCheckNote}`;
 }
 
 /**
@@ -157,6 +201,15 @@ function generateShuffleExplanation(count, percent) {
         `to move before accessing their seats. Window-first boarding can reduce this.`;
 }
 
+/**
+ * Generate explanation for crew and cart obstacles
+ */
+function generateObstacleExplanation(obstacleCount, passengers, steps, knockOn) {
+    const what = obstacleCount > 1 ? `${obstacleCount} crew and cart obstacles` : 'A crew or cart obstacle';
+    return `${what} held up ${passengers} passenger${passengers > 1 ? 's' : ''} for ${steps} seconds in the aisle, ` +
+        `and the queue behind them was blocked ${knockOn} more times afterwards.`;
+}
+
 /**
  * Generate explanation for stowing delays
  */
@@ -176,3 +229,23 @@ export function generateSummaryExplanation(causes, algorithmName) {
     const parts = causes.map(c => c.explanation);
     return parts.join(' ');
 }
+
+/**
+ * Explain an evacuation: whether the cabin cleared within the target, the
+ * busiest exit, then the top causes of delay
+ * @param {Object} metrics - Evacuation metrics
+ * @param {Object[]} causes - From analyzeDelayCauses
+ * @returns {string}
+ */
+export function explainEvacuation(metrics, causes) {
+    const { totalTime, evacuationTarget, evacuatedByTarget, totalPassengers, exitCounts } = metrics;
+    const [busiestExit, busiestCount] = Object.entries(exitCounts)
+        .reduce((best, entry) => entry[1] > best[1] ? entry : best);
+
+    const verdict = metrics.clearedInTime
+        ? `The cabin cleared in ${totalTime} sec, within the ${evacuationTarget}-second target.`
+        : `The cabin took ${totalTime} sec to clear: ${evacuatedByTarget} of ${totalPassengers} passengers were out after ${evacuationTarget} sec.`;
+    const exits = `The ${busiestExit} exit took the most passengers (${busiestCount}).`;
+
+    return [verdict, exits, ...causes.map(c => c.explanation)].join(' ');
+}
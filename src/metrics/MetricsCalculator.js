@@ -25,9 +25,38 @@ export function calculateMetrics(simulation) {
         maxWaitTime: metrics.maxWaitTime,
         aisleBlockedPercent: metrics.aisleBlockedPercent,
         totalPassengers: metrics.totalPassengers,
+        queueDeviation: metrics.queueDeviation,
+        gateLimitedPercent: metrics.gateLimitedPercent,
+        aisleLimitedPercent: metrics.aisleLimitedPercent,
+        lateArrivalTime: metrics.lateArrivalTime,
+        congestionTime: metrics.congestionTime,
+        noShows: metrics.noShows,
+        obstacleDelay: metrics.obstacleDelay,
+        gateCheckedBags: metrics.gateCheckedBags,
+        evacuationTarget: metrics.evacuationTarget,
+        clearedInTime: metrics.clearedInTime,
+        evacuatedByTarget: metrics.evacuatedByTarget,
+        exitCounts: metrics.exitCounts,
+        preBoarded: metrics.preBoarded,
+        preBoardingTime: metrics.preBoardingTime,
+        generalWaitTime: metrics.generalWaitTime,
+        phases: metrics.phases ? calculatePhaseMetrics(metrics) : null,
     };
 }
 
+/**
+ * Per-phase metrics of a turnaround, each with its start step and formatted time
+ * @param {Object} metrics - Turnaround metrics (see TurnaroundSimulation)
+ * @returns {Object<string, Object>}
+ */
+function calculatePhaseMetrics({ phases, phaseStarts }) {
+    return Object.fromEntries(Object.entries(phases).map(([phase, metrics]) => [phase, {
+        ...metrics,
+        start: phaseStarts[phase] ?? null,
+        totalTimeFormatted: formatTime(metrics.totalTime),
+    }]));
+}
+
 /**
  * Format a time value in seconds to display string
  */
@@ -45,11 +74,22 @@ export function formatMetricValue(key, value) {
         case 'totalTime':
             return formatTime(value);
         case 'avgWaitTime':
+        case 'generalWaitTime':
             return `${value.toFixed(1)} sec`;
         case 'maxWaitTime':
+        case 'lateArrivalTime':
+        case 'congestionTime':
+        case 'preBoardingTime':
+        case 'obstacleDelay':
             return `${value} sec`;
+        case 'gateCheckedBags':
+            return `${value} bags`;
         case 'aisleBlockedPercent':
+        case 'gateLimitedPercent':
+        case 'aisleLimitedPercent':
             return `${value.toFixed(1)}%`;
+        case 'queueDeviation':
+            return `${value.toFixed(1)} pos`;
         default:
             return String(value);
     }
@@ -70,7 +110,9 @@ export function formatMetricDiff(key, current, base) {
 
     let isBetter = false;
     // For time/delay/blocked, lower is better
-    if (['totalTime', 'avgWaitTime', 'maxWaitTime', 'aisleBlockedPercent'].includes(key)) {
+    if (['totalTime', 'avgWaitTime', 'maxWaitTime', 'aisleBlockedPercent', 'queueDeviation',
+        'gateLimitedPercent', 'aisleLimitedPercent', 'lateArrivalTime', 'congestionTime',
+        'preBoardingTime', 'generalWaitTime', 'obstacleDelay', 'gateCheckedBags'].includes(key)) {
         isBetter = diff < 0;
     } else {
         // For efficiency metrics (if any), higher is better
@@ -88,11 +130,21 @@ export function formatMetricDiff(key, current, base) {
             break;
         case 'avgWaitTime':
         case 'maxWaitTime':
+        case 'lateArrivalTime':
+        case 'congestionTime':
+        case 'preBoardingTime':
+        case 'generalWaitTime':
+        case 'obstacleDelay':
             formattedDiff = `${sign}${diff.toFixed(1)}s`;
             break;
         case 'aisleBlockedPercent':
+        case 'gateLimitedPercent':
+        case 'aisleLimitedPercent':
             formattedDiff = `${sign}${diff.toFixed(1)}%`;
             break;
+        case 'queueDeviation':
+            formattedDiff = `${sign}${diff.toFixed(1)} pos`;
+            break;
         default:
             formattedDiff = `${sign}${diff}`;
     }
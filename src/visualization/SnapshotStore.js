@@ -0,0 +1,327 @@
+/**
+ * Compact storage for a run's snapshots, for timeline playback.
+ * Keeps a full snapshot every so many steps, and whenever the phase
+ * changes (a keyframe), and in between only what changed since the step
+ * before (a delta):
+ *
+ *   {
+ *     fields: { queueLength: 12, seatedCount: 40 },           // Top-level values that changed
+ *     removed: ['exits'],                                      // Top-level fields gone (only if any)
+ *     passengers: [
+ *       [17, 'passengersInAisle', 3, { id: 17, ... }],       // Passenger now at index 3 of that list
+ *     ],
+ *     waits: [[17, 1], [42, 0]],                               // Passengers now waiting at a new rate
+ *   }
+ *
+ * Deltas are built from the simulation's event log while recording: only
+ * the passengers an event names are looked up again, and everyone else's
+ * wait time grows at the rate its last WAIT event gave. Nothing but the
+ * keyframes takes a full snapshot, and the lists stay in passenger order
+ * (see Simulation.getPassengerSnapshot()).
+ *
+ * Any step is rebuilt on demand from the keyframe before it. Playing
+ * forward carries on from the step last rebuilt, so each frame only
+ * applies one delta.
+ */
+
+import { AFFECTED_PASSENGER_FIELDS, EventType } from '../engine/Simulation.js';
+
+/**
+ * Snapshot fields listing passengers (one entry object per passenger, with its id)
+ */
+export const PASSENGER_LISTS = [
+    'passengersInAisle',
+    'passengersSeated',
+    'passengersWaiting',
+    'passengersExited',
+    'passengersAbsent',
+    'passengersNoShow',
+];
+
+/**
+ * Snapshot count fields, each the length of a passenger list
+ */
+const LIST_COUNTS = {
+    seatedCount: 'passengersSeated',
+    exitedCount: 'passengersExited',
+    noShowCount: 'passengersNoShow',
+};
+
+/**
+ * Steps between full snapshots
+ */
+export const DEFAULT_KEYFRAME_INTERVAL = 100;
+
+/**
+ * Snapshot store with keyframes and per-step deltas
+ */
+export class SnapshotStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.keyframeInterval] - Most steps between full snapshots
+     */
+    constructor({ keyframeInterval = DEFAULT_KEYFRAME_INTERVAL } = {}) {
+        if (!Number.isInteger(keyframeInterval) || keyframeInterval < 1) {
+            throw new Error(`Invalid keyframe interval: ${keyframeInterval}`);
+        }
+        this.keyframeInterval = keyframeInterval;
+        this.clear();
+    }
+
+    /**
+     * Remove all recorded snapshots
+     */
+    clear() {
+        this.keyframes = [];      // Full snapshots, with the wait rates at that step
+        this.keyframeSteps = [];  // Step of each keyframe, ascending
+        this.deltas = [];         // Changes from the step before, per step (null at keyframes)
+        this.last = null;         // State of the last recorded step
+        this.eventCount = 0;      // Events of the recorded simulation taken into account
+        this.cursor = null;       // State of the step last rebuilt
+    }
+
+    /**
+     * Number of recorded snapshots
+     */
+    get length() {
+        return this.deltas.length;
+    }
+
+    /**
+     * Record the simulation's current step. Call once after setup and
+     * once after every step, with the same simulation throughout.
+     * @param {import('../engine/Simulation').Simulation} simulation
+     */
+    record(simulation) {
+        const fields = simulation.getSnapshotFields();
+        const lastKeyframe = this.keyframeSteps[this.keyframeSteps.length - 1];
+
+        if (this.last === null ||
+            this.length - lastKeyframe >= this.keyframeInterval ||
+            fields.phase !== this.last.fields.phase) {
+            this._recordKeyframe(simulation);
+            return;
+        }
+
+        const events = simulation.getEvents(this.eventCount);
+        this.eventCount += events.length;
+
+        const touched = new Set();
+        const waits = [];
+        for (const event of events) {
+            touched.add(event.passengerId);
+            for (const key of AFFECTED_PASSENGER_FIELDS) {
+                for (const id of [event[key] ?? []].flat()) touched.add(id);
+            }
+            if (event.type === EventType.WAIT) waits.push([event.passengerId, event.rate]);
+        }
+
+        // Looked up again in passenger order; the index each lands at is
+        // worked out as they go back in
+        const orders = [];
+        const passengers = [...touched]
+            .map(id => ({ id, ...simulation.getPassengerSnapshot(id) }))
+            .sort((a, b) => a.order - b.order)
+            .map(({ id, list, entry, order }) => {
+                orders.push(order);
+                return [id, list, null, entry];
+            });
+
+        const delta = { ...diffFields(this.last.fields, fields), passengers, waits };
+        applyDelta(this.last, delta, (change, index) => {
+            change[2] = this._indexFor(change[1], orders[index]);
+            this.last.orders.set(change[0], orders[index]);
+        });
+        this.deltas.push(delta);
+    }
+
+    /**
+     * Record a full snapshot of the current step
+     */
+    _recordKeyframe(simulation) {
+        const snapshot = simulation.getSnapshot();
+        const waits = [];
+        const orders = new Map();
+        for (const key of PASSENGER_LISTS) {
+            for (const { id } of snapshot[key] ?? []) {
+                const { order, waitRate } = simulation.getPassengerSnapshot(id);
+                orders.set(id, order);
+                if (waitRate !== 0) waits.push([id, waitRate]);
+            }
+        }
+
+        const keyframe = { snapshot, waits };
+        this.keyframes.push(keyframe);
+        this.keyframeSteps.push(this.length);
+        this.deltas.push(null);
+        this.eventCount = simulation.getEvents().length;
+        this.last = toState(keyframe);
+        this.last.orders = orders;  // Passenger id -> place in passenger order
+    }
+
+    /**
+     * Index a passenger lands at in a list of the last recorded step,
+     * going by their place in passenger order
+     */
+    _indexFor(list, order) {
+        const entries = this.last.lists[list] ?? [];
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.last.orders.get(entries[mid].id) < order) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Rebuild the snapshot of a step
+     * @param {number} step - Index of the recorded snapshot
+     * @returns {Object|null} null if no such step was recorded
+     */
+    get(step) {
+        if (!Number.isInteger(step) || step < 0 || step >= this.length) return null;
+
+        const keyframeIndex = this._keyframeBefore(step);
+        const keyframeStep = this.keyframeSteps[keyframeIndex];
+        const resumable = this.cursor && this.cursor.step >= keyframeStep && this.cursor.step <= step;
+        if (!resumable) {
+            this.cursor = toState(this.keyframes[keyframeIndex]);
+            this.cursor.step = keyframeStep;
+        }
+
+        while (this.cursor.step < step) {
+            this.cursor.step++;
+            applyDelta(this.cursor, this.deltas[this.cursor.step]);
+        }
+        return toSnapshot(this.cursor);
+    }
+
+    /**
+     * Index of the last keyframe at or before a step
+     */
+    _keyframeBefore(step) {
+        let low = 0;
+        let high = this.keyframeSteps.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.keyframeSteps[mid] <= step) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Steps at which a top-level field takes a new value (the first step included)
+     * @param {string} key
+     * @returns {Array<{step: number, value: *}>}
+     */
+    changesOf(key) {
+        const changes = [];
+        let keyframeIndex = 0;
+        this.deltas.forEach((delta, step) => {
+            const fields = delta ? delta.fields : this.keyframes[keyframeIndex++].snapshot;
+            const previous = changes[changes.length - 1];
+            if (key in fields && (!previous || !isSameValue(previous.value, fields[key]))) {
+                changes.push({ step, value: fields[key] });
+            }
+        });
+        return changes;
+    }
+}
+
+/**
+ * Working form of a keyframe: top-level fields, each passenger's list and
+ * entry, and the rates wait times grow at. Entries are the state's own
+ * copies, so wait times can grow in place.
+ */
+function toState({ snapshot, waits }) {
+    const fields = { ...snapshot };
+    const lists = {};
+    const passengers = new Map();  // id -> { list, entry }
+
+    for (const key of PASSENGER_LISTS) {
+        if (!(key in snapshot)) continue;
+        fields[key] = null;  // Held in lists; kept here so rebuilt snapshots keep their field order
+        lists[key] = snapshot[key].map(entry => ({ ...entry }));
+        for (const entry of lists[key]) passengers.set(entry.id, { list: key, entry });
+    }
+    return { fields, lists, passengers, waitRates: new Map(waits) };
+}
+
+/**
+ * Snapshot of a working state (lists and entries copied, so the state can move on)
+ */
+function toSnapshot({ fields, lists }) {
+    const snapshot = { ...fields };
+    for (const key of PASSENGER_LISTS) {
+        if (key in lists) snapshot[key] = lists[key].map(entry => ({ ...entry }));
+    }
+    for (const [count, key] of Object.entries(LIST_COUNTS)) {
+        if (count in snapshot) snapshot[count] = lists[key].length;
+    }
+    return snapshot;
+}
+
+/**
+ * Top-level fields that changed or went (counts aside: they follow the lists)
+ */
+function diffFields(before, after) {
+    const fields = {};
+    for (const [key, value] of Object.entries(after)) {
+        if (!(key in before) || !isSameValue(before[key], value)) fields[key] = value;
+    }
+    const removed = Object.keys(before)
+        .filter(key => !(key in after) && !(key in LIST_COUNTS) && !PASSENGER_LISTS.includes(key));
+    return { fields, ...(removed.length > 0 && { removed }) };
+}
+
+/**
+ * Move a working state on by one delta
+ * @param {Object} state
+ * @param {Object} delta
+ * @param {Function} [placed] - Called with each passenger change and its
+ *   position in the delta once the passenger is out of their old list
+ *   (while recording: to work out the index they land at)
+ */
+function applyDelta(state, { fields, removed = [], passengers, waits }, placed) {
+    Object.assign(state.fields, fields);
+    for (const key of removed) delete state.fields[key];
+
+    // Wait times go on growing; the passengers an event names are replaced whole below
+    for (const [id, rate] of waits) {
+        if (rate === 0) state.waitRates.delete(id);
+        else state.waitRates.set(id, rate);
+    }
+    for (const [id, rate] of state.waitRates) {
+        state.passengers.get(id).entry.waitTime += rate;
+    }
+
+    // Take every changed passenger out first, then put them back in passenger
+    // order: each lands in front of everyone who follows them
+    for (const [id] of passengers) {
+        const current = state.passengers.get(id);
+        const list = state.lists[current.list];
+        list.splice(list.indexOf(current.entry), 1);
+        state.passengers.delete(id);
+    }
+
+    passengers.forEach((change, index) => {
+        placed?.(change, index);
+        const [id, key, position] = change;
+        const entry = { ...change[3] };  // Stored deltas stay as recorded
+        state.lists[key] ??= [];
+        state.lists[key].splice(position, 0, entry);
+        state.passengers.set(id, { list: key, entry });
+    });
+}
+
+/**
+ * Whether two top-level snapshot values are equal (arrays and objects by content)
+ */
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -8,7 +8,8 @@ export class Timeline {
         this.currentStep = 0;
         this.isPlaying = false;
         this.playbackSpeed = 1;
-        this.snapshots = [];
+        this.snapshots = null;  // SnapshotStore, once loaded
+        this.markers = [];  // Steps where a new phase starts (turnarounds)
 
         // Callbacks
         this.onStepChange = options.onStepChange || (() => { });
@@ -22,21 +23,35 @@ export class Timeline {
 
     /**
      * Load simulation snapshots for playback
-     * @param {Object[]} snapshots - Array of simulation snapshots
+     * @param {import('./SnapshotStore').SnapshotStore} snapshots - Recorded simulation snapshots
      */
     loadSnapshots(snapshots) {
         this.snapshots = snapshots;
         this.totalSteps = snapshots.length - 1;
+        this.markers = snapshots.changesOf('phase')
+            .filter(({ value }) => value)
+            .map(({ step, value }) => ({ step, phase: value }));
         this.currentStep = 0;
         this.isPlaying = false;
-        this.onStepChange(this.currentStep, this.snapshots[0]);
+        this.onStepChange(this.currentStep, this.snapshots.get(0));
     }
 
     /**
      * Get current snapshot
      */
     getCurrentSnapshot() {
-        return this.snapshots[this.currentStep] || null;
+        return this.snapshots?.get(this.currentStep) ?? null;
+    }
+
+    /**
+     * Phase markers with their position along the timeline
+     * @returns {Array<{step: number, phase: string, percent: number}>}
+     */
+    getMarkers() {
+        return this.markers.map(marker => ({
+            ...marker,
+            percent: this.totalSteps > 0 ? (marker.step / this.totalSteps) * 100 : 0,
+        }));
     }
 
     /**
@@ -53,7 +68,7 @@ export class Timeline {
      */
     goToStep(step) {
         this.currentStep = Math.max(0, Math.min(step, this.totalSteps));
-        this.onStepChange(this.currentStep, this.snapshots[this.currentStep]);
+        this.onStepChange(this.currentStep, this.getCurrentSnapshot());
     }
 
     /**
@@ -127,7 +142,7 @@ export class Timeline {
 
             if (this.currentStep < this.totalSteps) {
                 this.currentStep++;
-                this.onStepChange(this.currentStep, this.snapshots[this.currentStep]);
+                this.onStepChange(this.currentStep, this.getCurrentSnapshot());
             } else {
                 this.pause();
                 return;
@@ -166,6 +181,6 @@ export class Timeline {
      */
     destroy() {
         this.pause();
-        this.snapshots = [];
+        this.snapshots = null;
     }
 }
@@ -27,6 +27,12 @@ export class BaseRenderer {
                 passengerWaiting: '#fbbf24',
                 passengerStowing: '#fbbf24',
                 passengerSeating: '#34d399',
+                passengerYielding: '#f472b6',
+                personalSpace: 'rgba(129, 140, 248, 0.35)',
+                crew: '#22d3ee',
+                cart: 'rgba(148, 163, 184, 0.5)',
+                exit: '#f87171',
+                galley: 'rgba(255, 255, 255, 0.04)',
                 text: '#94a3b8',
                 textLight: '#64748b',
                 border: 'rgba(255, 255, 255, 0.1)',
@@ -39,21 +45,40 @@ export class BaseRenderer {
 
     _calculateDimensions() {
         const { seatSize, seatGap, aisleWidth, rowLabelWidth, padding } = this.settings;
-        const { rows, columns } = this.aircraft;
+        const { rows, columns, aislePositions } = this.aircraft;
 
         const seatsWidth = columns.length * (seatSize + seatGap) - seatGap;
-        const totalWidth = rowLabelWidth + seatsWidth + aisleWidth + padding * 2;
-        const totalHeight = (rows + 2) * (seatSize + seatGap) + padding * 2;
+        const totalWidth = rowLabelWidth + seatsWidth + aisleWidth * aislePositions.length + padding * 2;
+
+        // Top edge of each row, plus the rear door row below the cabin (rows + 1).
+        // Rows stretch with their pitch and galleys add a row-sized gap
+        const seatsStartY = padding + (seatSize + seatGap) * 2;
+        const galleys = this.aircraft.galleys;
+        const rowYs = [seatsStartY];
+        let y = seatsStartY;
+        for (let row = 1; row <= rows + 1; row++) {
+            if (galleys.includes(row - 1)) y += seatSize + seatGap;
+            rowYs[row] = y;
+            y += seatSize * this.aircraft.getRowPitch(row) + seatGap;
+        }
+        const totalHeight = y + padding;
+
+        // Left edge of each aisle (earlier aisles push later columns right)
+        const seatsStartX = padding + rowLabelWidth;
+        const aisleXs = aislePositions.map((position, i) =>
+            seatsStartX + position * (seatSize + seatGap) + i * aisleWidth);
 
         this.dims = {
             totalWidth,
             totalHeight,
-            seatsStartX: padding + rowLabelWidth,
-            seatsStartY: padding + (seatSize + seatGap) * 2,
+            seatsStartX,
+            seatsStartY,
+            rowYs,
             seatSize,
             seatGap,
             aisleWidth,
-            aisleX: padding + rowLabelWidth + 3 * (seatSize + seatGap),
+            aisleXs,
+            aisleX: aisleXs[0],
         };
 
         const dpr = window.devicePixelRatio || 1;
@@ -67,20 +92,32 @@ export class BaseRenderer {
     }
 
     getSeatPosition(row, column) {
-        const { seatsStartX, seatsStartY, seatSize, seatGap, aisleWidth } = this.dims;
-        const colIndex = column.charCodeAt(0) - 'A'.charCodeAt(0);
-        let x = seatsStartX + colIndex * (seatSize + seatGap);
-        if (colIndex >= 3) x += aisleWidth;
-        const y = seatsStartY + (row - 1) * (seatSize + seatGap);
+        const { seatsStartX, rowYs, seatSize, seatGap, aisleWidth } = this.dims;
+        const colIndex = this.aircraft.columns.indexOf(column);
+        const aislesBefore = this.aircraft.aislePositions.filter(position => colIndex >= position).length;
+        const x = seatsStartX + colIndex * (seatSize + seatGap) + aislesBefore * aisleWidth;
+        const y = rowYs[row];
         return { x, y };
     }
 
-    getAislePosition(row) {
-        const { aisleX, seatsStartY, seatSize, seatGap, aisleWidth } = this.dims;
+    /**
+     * Drawn height of a row's seats (longer for premium pitch)
+     */
+    getRowHeight(row) {
+        return this.dims.seatSize * this.aircraft.getRowPitch(row);
+    }
+
+    /**
+     * Centre of an aisle cell, and the drawn length of a passenger
+     * taking up `footprint` rows of aisle there
+     */
+    getAislePosition(row, aisle = 0, footprint = 1) {
+        const { aisleXs, rowYs, aisleWidth } = this.dims;
         const y = row === 0
             ? this.settings.padding + this.settings.seatSize / 2
-            : seatsStartY + (row - 1) * (seatSize + seatGap) + seatSize / 2;
-        return { x: aisleX + aisleWidth / 2, y };
+            : rowYs[row] + this.getRowHeight(row) / 2;
+        const rowHeight = row === 0 ? this.dims.seatSize : this.getRowHeight(row);
+        return { x: aisleXs[aisle] + aisleWidth / 2, y, height: footprint * rowHeight };
     }
 
     handleResize() {
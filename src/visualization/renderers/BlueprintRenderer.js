@@ -26,20 +26,26 @@ export class BlueprintRenderer extends BaseRenderer {
         // Draw aisle
         this._drawAisle(snapshot);
 
-        // Draw seats
+        // Draw seats, galleys and exits
         this._drawSeats(snapshot);
+        this._drawCabinFeatures();
 
         // Draw labels
         this._drawRowLabels();
         this._drawColumnLabels();
 
-        // Draw passengers
+        // Draw crew, carts and passengers
         if (snapshot) {
+            this._drawObstacles(snapshot);
             this._drawPassengersInAisle(snapshot);
         }
 
-        // Draw entry
-        this._drawEntryArea(snapshot);
+        // Draw entry, or the exits when evacuating
+        if (snapshot?.exits) {
+            this._drawExits(snapshot);
+        } else {
+            this._drawEntryArea(snapshot);
+        }
     }
 
     _drawFuselage() {
@@ -175,15 +181,16 @@ export class BlueprintRenderer extends BaseRenderer {
             }
         }
 
-        for (let row = 1; row <= aircraft.rows; row++) {
-            for (const column of aircraft.columns) {
+        for (const { row, seats } of aircraft.rowLayouts) {
+            const height = this.getRowHeight(row);
+            for (const column of seats) {
                 const { x, y } = this.getSeatPosition(row, column);
                 const key = `${row}-${column}`;
                 const isOccupied = occupiedSeats.has(key);
 
                 ctx.fillStyle = isOccupied ? settings.colors.seatOccupied : settings.colors.seatEmpty;
                 ctx.beginPath();
-                ctx.roundRect(x, y, seatSize, seatSize, 4);
+                ctx.roundRect(x, y, seatSize, height, 4);
                 ctx.fill();
 
                 ctx.strokeStyle = settings.colors.border;
@@ -195,7 +202,7 @@ export class BlueprintRenderer extends BaseRenderer {
                     ctx.font = '10px Inter, sans-serif';
                     ctx.textAlign = 'center';
                     ctx.textBaseline = 'middle';
-                    ctx.fillText(column, x + seatSize / 2, y + seatSize / 2);
+                    ctx.fillText(column, x + seatSize / 2, y + height / 2);
                 }
             }
         }
@@ -221,17 +228,22 @@ export class BlueprintRenderer extends BaseRenderer {
 
     _drawAisle(snapshot) {
         const { ctx, dims, settings } = this;
-        const { aisleX, seatSize, seatGap, aisleWidth } = dims;
+        const { aisleXs, seatSize, seatGap, aisleWidth } = dims;
 
         ctx.fillStyle = settings.colors.aisle;
-        ctx.fillRect(aisleX, settings.padding, aisleWidth, dims.totalHeight - settings.padding * 2);
+        for (const aisleX of aisleXs) {
+            ctx.fillRect(aisleX, settings.padding, aisleWidth, dims.totalHeight - settings.padding * 2);
+        }
 
+        // Congestion overlay, drawn in each passenger's own aisle
         if (snapshot && snapshot.passengersInAisle) {
             for (const p of snapshot.passengersInAisle) {
-                if (p.state === 'stowing' || p.state === 'shuffling') {
-                    const pos = this.getAislePosition(p.aisleRow);
+                if (p.state === 'stowing' || p.state === 'shuffling' || p.state === 'yielding') {
+                    const aisle = p.aisle ?? 0;
+                    const pos = this.getAislePosition(p.aisleRow, aisle);
+                    const height = this.getRowHeight(p.aisleRow);
                     ctx.fillStyle = settings.colors.aisleBlocked;
-                    ctx.fillRect(aisleX, pos.y - seatSize / 2 - seatGap / 2, aisleWidth, seatSize + seatGap);
+                    ctx.fillRect(aisleXs[aisle], pos.y - height / 2 - seatGap / 2, aisleWidth, height + seatGap);
                 }
             }
         }
@@ -239,22 +251,51 @@ export class BlueprintRenderer extends BaseRenderer {
 
     _drawRowLabels() {
         const { ctx, dims, settings, aircraft } = this;
-        const { seatsStartY, seatSize, seatGap } = dims;
 
-        ctx.fillStyle = settings.colors.textLight;
         ctx.font = '11px Inter, sans-serif';
         ctx.textAlign = 'right';
         ctx.textBaseline = 'middle';
 
         for (let row = 1; row <= aircraft.rows; row++) {
-            const y = seatsStartY + (row - 1) * (seatSize + seatGap) + seatSize / 2;
-            ctx.fillText(String(row), settings.padding + dims.rowLabelWidth - 8, y);
+            const y = dims.rowYs[row] + this.getRowHeight(row) / 2;
+            // Exit rows are labelled in the exit colour
+            ctx.fillStyle = aircraft.getRowLayout(row).exit ? settings.colors.exit : settings.colors.textLight;
+            ctx.fillText(String(row), settings.padding + settings.rowLabelWidth - 8, y);
+        }
+    }
+
+    _drawCabinFeatures() {
+        const { ctx, dims, settings, aircraft } = this;
+        const { seatsStartX, totalWidth, rowYs, seatSize, seatGap } = dims;
+        const right = totalWidth - settings.padding;
+
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Galleys: a band across the cabin in the gap behind their row
+        for (const afterRow of aircraft.galleys) {
+            const y = rowYs[afterRow + 1] - seatSize - seatGap / 2;
+            ctx.fillStyle = settings.colors.galley;
+            ctx.fillRect(seatsStartX, y, right - seatsStartX, seatSize);
+            ctx.fillStyle = settings.colors.textLight;
+            ctx.fillText('GALLEY', (seatsStartX + right) / 2, y + seatSize / 2);
+        }
+
+        // Exit rows: markers on both sides of the fuselage
+        ctx.fillStyle = settings.colors.exit;
+        for (const layout of aircraft.rowLayouts) {
+            if (!layout.exit) continue;
+            const y = rowYs[layout.row];
+            const height = this.getRowHeight(layout.row);
+            ctx.fillRect(seatsStartX - 6, y, 3, height);
+            ctx.fillRect(right + 3, y, 3, height);
         }
     }
 
     _drawColumnLabels() {
         const { ctx, dims, settings, aircraft } = this;
-        const { seatsStartX, seatSize, seatGap, aisleWidth } = dims;
+        const { seatSize } = dims;
 
         ctx.fillStyle = settings.colors.text;
         ctx.font = '12px Inter, sans-serif';
@@ -262,30 +303,74 @@ export class BlueprintRenderer extends BaseRenderer {
         ctx.textBaseline = 'bottom';
         const y = settings.padding + seatSize;
 
-        for (let i = 0; i < aircraft.columns.length; i++) {
-            const column = aircraft.columns[i];
-            let x = seatsStartX + i * (seatSize + seatGap) + seatSize / 2;
-            if (i >= 3) x += aisleWidth;
+        for (const column of aircraft.columns) {
+            const x = this.getSeatPosition(1, column).x + seatSize / 2;
             ctx.fillText(column, x, y);
         }
     }
 
+    _drawObstacles(snapshot) {
+        const { ctx, dims, settings } = this;
+        const { aisleWidth, seatSize } = dims;
+
+        for (const obstacle of snapshot.obstacles ?? []) {
+            const first = this.getAislePosition(obstacle.rows[0], obstacle.aisle);
+            const last = this.getAislePosition(obstacle.rows[obstacle.rows.length - 1], obstacle.aisle);
+
+            if (obstacle.type === 'cart') {
+                const top = first.y - first.height / 2 + 2;
+                const height = last.y + last.height / 2 - 2 - top;
+                ctx.fillStyle = settings.colors.cart;
+                ctx.fillRect(first.x - aisleWidth / 2 + 3, top, aisleWidth - 6, height);
+                ctx.strokeStyle = settings.colors.textLight;
+                ctx.lineWidth = 1;
+                ctx.strokeRect(first.x - aisleWidth / 2 + 3, top, aisleWidth - 6, height);
+            } else {
+                const size = seatSize - 6;
+                ctx.fillStyle = settings.colors.crew;
+                ctx.fillRect(first.x - size / 2, first.y - size / 2, size, size);
+                ctx.fillStyle = settings.colors.background;
+                ctx.font = 'bold 9px Inter, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText('FA', first.x, first.y);
+            }
+        }
+    }
+
     _drawPassengersInAisle(snapshot) {
         const { ctx, dims, settings } = this;
         const { seatSize } = dims;
         const radius = seatSize / 2 - 2;
+        const headway = snapshot.aisleHeadway ?? 0;
 
         for (const p of snapshot.passengersInAisle) {
-            const pos = this.getAislePosition(p.aisleRow);
+            const footprint = p.footprint ?? 1;
+            const pos = this.getAislePosition(p.aisleRow, p.aisle ?? 0, footprint);
             let color = settings.colors.passenger;
 
+            // Personal space kept to the next passenger
+            if (headway > 0) {
+                ctx.setLineDash([2, 3]);
+                ctx.strokeStyle = settings.colors.personalSpace;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.ellipse(pos.x, pos.y, radius + 2, pos.height / 2, 0, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            // Stretched along the aisle while carrying a bag
+            const bodyRadius = Math.max(radius, this.getAislePosition(p.aisleRow, p.aisle ?? 0, footprint - headway).height / 2 - 2);
+
             if (p.state === 'stowing' || p.state === 'shuffling') color = settings.colors.passengerWaiting;
             else if (p.state === 'seating') color = settings.colors.passengerSeating;
+            else if (p.state === 'yielding') color = settings.colors.passengerYielding;
 
             ctx.shadowColor = color;
             ctx.shadowBlur = 8;
             ctx.beginPath();
-            ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            ctx.ellipse(pos.x, pos.y, radius, bodyRadius, 0, 0, Math.PI * 2);
             ctx.fillStyle = color;
             ctx.fill();
             ctx.shadowBlur = 0;
@@ -301,23 +386,91 @@ export class BlueprintRenderer extends BaseRenderer {
         }
     }
 
-    _drawEntryArea(snapshot) {
-        const { ctx, dims, settings } = this;
-        const { aisleX, aisleWidth } = dims;
-        const y = settings.padding;
+    _drawExits(snapshot) {
+        const { ctx, dims, settings, aircraft } = this;
+        const { aisleXs, aisleWidth, seatSize } = dims;
+        const aislesCenterX = (aisleXs[0] + aisleXs[aisleXs.length - 1] + aisleWidth) / 2;
 
-        ctx.fillStyle = settings.colors.textLight;
-        ctx.font = '10px Inter, sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        ctx.fillText('ENTRY', aisleX + aisleWidth / 2, y);
+        for (const exit of snapshot.exits) {
+            // Same places as door labels: above, below or beside the cabin
+            let x = aislesCenterX;
+            let y = settings.padding;
+            if (exit.aisleRow > 0) {
+                const pos = this.getAislePosition(exit.aisleRow);
+                if (exit.aisleRow > aircraft.rows) {
+                    y = pos.y + seatSize / 2;
+                } else {
+                    x = settings.padding / 2;
+                    y = pos.y - seatSize / 2;
+                }
+            }
+
+            ctx.fillStyle = exit.open ? settings.colors.exit : settings.colors.textLight;
+            ctx.font = 'bold 10px Inter, sans-serif';
+            ctx.fillText(exit.open ? 'EXIT' : 'BLOCKED', x, y);
+            if (exit.open) {
+                ctx.font = '10px Inter, sans-serif';
+                ctx.fillText(`Out: ${exit.evacuated}`, x, y + 14);
+            }
+        }
+
+        // Clock against the target, red once it has passed
+        ctx.fillStyle = snapshot.step > snapshot.evacuationTarget ? settings.colors.exit : settings.colors.text;
+        ctx.font = 'bold 11px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${snapshot.step}s / ${snapshot.evacuationTarget}s`, settings.padding / 2, settings.padding);
+    }
+
+    _drawEntryArea(snapshot) {
+        const { ctx, dims, settings, aircraft } = this;
+        const { aisleXs, aisleWidth, seatSize } = dims;
 
-        if (snapshot && snapshot.passengersWaiting) {
-            const queueCount = snapshot.passengersWaiting.length;
-            if (queueCount > 0) {
+        // Doors feed every aisle; centre labels across them
+        const aislesCenterX = (aisleXs[0] + aisleXs[aisleXs.length - 1] + aisleWidth) / 2;
+
+        for (const door of aircraft.doors) {
+            // Front door label sits above the cabin, others beside their aisle cell
+            let x = aislesCenterX;
+            let y = settings.padding;
+            ctx.textAlign = 'center';
+            if (door.aisleRow > 0) {
+                const pos = this.getAislePosition(door.aisleRow);
+                if (door.aisleRow > aircraft.rows) {
+                    y = pos.y + seatSize / 2;
+                } else {
+                    x = settings.padding / 2;
+                    y = pos.y - seatSize / 2;
+                }
+            }
+
+            ctx.fillStyle = settings.colors.textLight;
+            ctx.font = '10px Inter, sans-serif';
+            ctx.textBaseline = 'top';
+            ctx.fillText(door.aisleRow === 0 ? 'ENTRY' : door.id.toUpperCase(), x, y);
+
+            if (snapshot && snapshot.passengersWaiting) {
+                const atDoor = snapshot.passengersWaiting.filter(p => p.door === door.id);
+                const bridgeCount = atDoor.filter(p => p.state === 'bridge').length;
+                const queueCount = atDoor.length - bridgeCount;
                 ctx.fillStyle = settings.colors.passengerWaiting;
                 ctx.font = 'bold 11px Inter, sans-serif';
-                ctx.fillText(`Queue: ${queueCount}`, aisleX + aisleWidth / 2, y + 14);
+                if (queueCount > 0) {
+                    ctx.fillText(`Queue: ${queueCount}`, x, y + 14);
+                }
+                if (bridgeCount > 0) {
+                    ctx.fillText(`Bridge: ${bridgeCount}`, x, y + 28);
+                }
+            }
+
+            if (snapshot && snapshot.passengersAbsent) {
+                const lateCount = snapshot.passengersAbsent.filter(p => p.door === door.id).length;
+                if (lateCount > 0) {
+                    ctx.fillStyle = settings.colors.textLight;
+                    ctx.font = '10px Inter, sans-serif';
+                    ctx.fillText(`Late: ${lateCount}`, x, y + 42);
+                }
             }
         }
     }